@@ -1,427 +1,979 @@
 const express = require('express');
-const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const os = require('os');
+const rules = require('./lib/rules');
+const schedule = require('./lib/schedule');
+const auth = require('./lib/auth');
+const bracket = require('./lib/bracket');
+const pools = require('./lib/pools');
+const ledger = require('./lib/ledger');
+const mail = require('./lib/mail');
+const notify = require('./lib/notify');
+const store = require('./lib/store');
+const events = require('./lib/events');
+const teams = require('./lib/teams');
+const outcome = require('./lib/outcome');
+const stats = require('./lib/stats');
+const planner = require('./lib/planner');
+const journal = require('./lib/journal');
+const gameStatus = require('./lib/games');
+const csv = require('./lib/csv');
+const forms = require('./lib/forms');
+const spreadsheet = require('./lib/spreadsheet');
+const xlsx = require('./lib/xlsx');
+const sweat = require('./lib/sweat');
 
 const PORT = process.env.PORT || 3000;
 const app = express();
 app.use(express.json());
 
+/* ────────────────────────────────
+   Reverse proxy
+   Behind a proxy every request comes from the proxy's address, so req.ip,
+   and the admin login lockout keyed on it (see lib/auth.js), would lump
+   every visitor together. TRUST_PROXY says which X-Forwarded-For hops to
+   believe: how many proxies there are ("1"), or their addresses or subnets
+   ("loopback", "10.0.0.0/8"). Unset, the header is ignored, since anyone
+   can send one.
+──────────────────────────────── */
+const TRUST_PROXY = process.env.TRUST_PROXY || '';
+if (TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY);
+
 /* ────────────────────────────────
    Data file paths
    Store data in home directory so it survives Hostinger deploys.
    The git deploy replaces the app directory, but ~/survivorpool-data persists.
    Override with DATA_DIR env var if needed.
+   Each pool's files live in DATA_DIR/pools/<id>/ (see lib/pools.js):
+   config.json, players.json, games.json, payments.json, outbox.json (queued
+   emails), teams.json (team names and aliases, see lib/teams.js) and, once
+   the admin sets up the field, bracket.json.
+   STORAGE=sqlite keeps the same data in DATA_DIR/survivorpool.db instead
+   (see lib/store.js).
 ──────────────────────────────── */
 const DATA_DIR = process.env.DATA_DIR || path.join(os.homedir(), 'survivorpool-data');
-const CONFIG_PATH = path.join(DATA_DIR, 'config.json');
-const PLAYERS_PATH = path.join(DATA_DIR, 'players.json');
-const GAMES_PATH = path.join(DATA_DIR, 'games.json');
+const STORAGE = process.env.STORAGE || 'json';
+
+/* ────────────────────────────────
+   Email (see lib/mail.js and lib/notify.js)
+   SMTP_* picks the transport; without SMTP_HOST messages are only logged.
+   PUBLIC_URL is the site address used in email links. TIME_ZONE is how
+   times are written in emails for pools that haven't set their own.
+──────────────────────────────── */
+const mailTransport = mail.transportFromEnv(process.env);
+const MAIL_FROM = process.env.MAIL_FROM || 'Knockout Pool <pool@localhost>';
+const TIME_ZONE = process.env.TIME_ZONE || 'America/New_York';
+const REMINDER_HOURS = parseFloat(process.env.REMINDER_HOURS) || 3; // how long before a deadline to remind
 
 /* ────────────────────────────────
    Helpers
 ──────────────────────────────── */
 function readJSON(filePath) {
-  return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  return store.readJSON(filePath);
 }
 function writeJSON(filePath, data) {
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf-8');
+  store.writeJSON(filePath, data);
 }
-
-// Auto-create data files if they don't exist (first deploy)
-if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-if (!fs.existsSync(CONFIG_PATH)) writeJSON(CONFIG_PATH, { currentDay: 'thursday_r1', pickDay: 'thursday_r1', closedDays: [], adminPin: 'KeeferNet2@3#', buybackDays: ['friday_r1','saturday_r2','sunday_r2'] });
-// Update admin PIN if it's still the old default; ensure pickDay exists
-var _cfg = readJSON(CONFIG_PATH);
-var _cfgChanged = false;
-if (_cfg.adminPin === '2025') { _cfg.adminPin = 'KeeferNet2@3#'; _cfgChanged = true; }
-if (!_cfg.pickDay) { _cfg.pickDay = _cfg.currentDay || 'thursday_r1'; _cfgChanged = true; }
-if (_cfgChanged) writeJSON(CONFIG_PATH, _cfg);
-if (!fs.existsSync(PLAYERS_PATH)) writeJSON(PLAYERS_PATH, []);
-if (!fs.existsSync(GAMES_PATH)) writeJSON(GAMES_PATH, {});
-
-/* ────────────────────────────────
-   Constants
-──────────────────────────────── */
-const DAY_ORDER = [
-  'thursday_r1','friday_r1','saturday_r2','sunday_r2',
-  'thursday_s16','friday_s16','saturday_e8','sunday_e8',
-  'saturday_ff','monday_champ'
-];
-
-const PICKS_PER_DAY = {
-  thursday_r1: 2, friday_r1: 2,
-  saturday_r2: 1, sunday_r2: 1,
-  thursday_s16: 1, friday_s16: 1,
-  saturday_e8: 1, sunday_e8: 1,
-  saturday_ff: 1, monday_champ: 1,
-};
-
-const BUYBACK_PICKS = {
-  friday_r1: 4,
-  saturday_r2: 3,
-  sunday_r2: 3,
-};
-
-const TEAMS_BY_DAY = {};
-
-/* ══════════════════════════════
-   API Routes
-══════════════════════════════ */
-
-/* ── GET /api/state ── returns all data for the frontend */
-app.get('/api/state', function(req, res) {
-  var config = readJSON(CONFIG_PATH);
-  var players = readJSON(PLAYERS_PATH);
-  var games = readJSON(GAMES_PATH);
-
-  // Recalculate player statuses based on current game data
-  // This ensures statuses are always correct regardless of stale data
-  var statusChanged = false;
-  for (var si = 0; si < players.length; si++) {
-    var sp = players[si];
-    // Find the latest day this player has picks for
-    var latestDay = null;
-    var latestIdx = -1;
-    for (var sd = 0; sd < DAY_ORDER.length; sd++) {
-      if (sp.picks[DAY_ORDER[sd]]) {
-        if (sd > latestIdx) {
-          latestIdx = sd;
-          latestDay = DAY_ORDER[sd];
-        }
-      }
-    }
-    if (!latestDay) continue;
-
-    // Get winners and decided teams for the latest day
-    var sdGames = games[latestDay] || [];
-    var sdWinners = [];
-    var sdDecided = [];
-    for (var sg = 0; sg < sdGames.length; sg++) {
-      if (sdGames[sg].final && sdGames[sg].winner) {
-        sdWinners.push(sdGames[sg].winner);
-        sdDecided.push(sdGames[sg].home);
-        sdDecided.push(sdGames[sg].away);
-      }
-    }
-
-    var sdPicks = sp.picks[latestDay];
-
-    // Handle "None" picks — automatic loss once all games are final
-    var sdIsNone = sdPicks.length === 1 && sdPicks[0] === 'None';
-    var correctStatus, correctResult;
-    if (sdIsNone) {
-      var sdAllFinal = sdGames.length > 0 && sdGames.every(function(g) { return g.final; });
-      correctResult = sdAllFinal ? 'loss' : 'pending';
-      correctStatus = sdAllFinal ? 'eliminated' : 'alive';
-    } else {
-      var sdDecidedPicks = sdPicks.filter(function(t) { return sdDecided.indexOf(t) !== -1; });
-      var sdUndecidedPicks = sdPicks.filter(function(t) { return sdDecided.indexOf(t) === -1; });
-
-      if (sdDecidedPicks.length === 0) {
-        // No games final for this player's picks — pending, alive
-        correctResult = 'pending';
-        correctStatus = 'alive';
-      } else {
-        var sdHasLoss = sdDecidedPicks.some(function(t) { return sdWinners.indexOf(t) === -1; });
-        if (sdHasLoss) {
-          correctResult = 'loss';
-          correctStatus = 'eliminated';
-        } else if (sdUndecidedPicks.length === 0) {
-          correctResult = 'win';
-          correctStatus = 'alive';
-        } else {
-          correctResult = 'pending';
-          correctStatus = 'alive';
-        }
+function readPayments(pool) {
+  return store.exists(pool.paymentsPath) ? readJSON(pool.paymentsPath) : [];
+}
+// Refuse more picks from an entry that has been unpaid past the grace period
+function unpaidError(pool, player, rs) {
+  var acct = ledger.account(player, readPayments(pool), rs);
+  if (!ledger.isBlocked(acct, rs)) return null;
+  return 'Your entry has an unpaid balance of $' + acct.owed + '. Settle up with the admin to keep picking.';
+}
+function readBracket(pool) {
+  return store.exists(pool.bracketPath) ? readJSON(pool.bracketPath) : null;
+}
+function readTeams(pool) {
+  return store.exists(pool.teamsPath) ? readJSON(pool.teamsPath) : teams.empty();
+}
+// Check a day's games from the admin, giving each a status (see lib/games.js;
+// a final needs a winner). Returns a list of error messages.
+function checkGames(games) {
+  var errors = [];
+  games.forEach(function(g) { errors = errors.concat(gameStatus.validate(g)); });
+  if (errors.length === 0) games.forEach(gameStatus.normalize);
+  return errors;
+}
+// Team names are matched by canonical id. A winner that is one half of a
+// First Four placeholder ("Team A/Team B") settles who the placeholder was.
+// Registers the games' teams and returns [{ placeholder, winner }].
+function settledPlaceholders(registry, games) {
+  var names = [];
+  games.forEach(function(g) { names.push(g.home, g.away); });
+  teams.register(registry, names);
+  var resolved = [];
+  games.forEach(function(g) {
+    if (!g.winner) return;
+    [g.home, g.away].forEach(function(side) {
+      var parts = teams.placeholderParts(side);
+      if (parts && parts.some(function(t) { return teams.sameTeam(registry, t, g.winner); })) {
+        resolved.push({ placeholder: side, winner: g.winner });
       }
-    }
-
-    if (sp.results[latestDay] !== correctResult || sp.status !== correctStatus) {
-      sp.results[latestDay] = correctResult;
-      sp.status = correctStatus;
-      statusChanged = true;
-    }
+    });
+  });
+  return resolved;
+}
+// Try settling placeholders on a copy of the registry, so a conflict rejects
+// the request before anything is saved. Returns a list of error messages.
+function checkPlaceholders(registry, resolved) {
+  var trial = JSON.parse(JSON.stringify(registry));
+  return resolved.map(function(r) { return teams.resolve(trial, r.placeholder, r.winner).error; }).filter(Boolean);
+}
+// Rewrite games, picks and the bracket after the team registry changed,
+// noting on the history entry (if any) how much was rewritten
+function applyTeamChange(pool, config, registry, entry) {
+  var games = readJSON(pool.gamesPath);
+  var players = readJSON(pool.playersPath);
+  var field = readBracket(pool);
+  var counts = teams.canonicalize(registry, { games: games, players: players, bracket: field });
+  if (entry) {
+    entry.games = counts.games;
+    entry.picks = counts.picks;
   }
-  if (statusChanged) {
-    writeJSON(PLAYERS_PATH, players);
+  writeJSON(pool.teamsPath, registry);
+  if (field) writeJSON(pool.bracketPath, field);
+  writeJSON(pool.gamesPath, games);
+  writeJSON(pool.playersPath, players);
+  return syncBracketAndReplay(pool, config, games);
+}
+// Rebuild bracket games from results, then replay every player against them.
+// Returns the results that just turned into losses as [{ player, day }].
+function syncBracketAndReplay(pool, config, games) {
+  var field = readBracket(pool);
+  // Bracket games come out under the bracket's names; resolved placeholders
+  // and aliases are rewritten to display names like every other game
+  var gamesChanged = !!field && bracket.syncGames(field, games);
+  if (teams.canonicalize(readTeams(pool), { games: games }).games > 0) gamesChanged = true;
+  if (gamesChanged) writeJSON(pool.gamesPath, games);
+  var players = readJSON(pool.playersPath);
+  var before = players.map(function(p) { return Object.assign({}, p.results); });
+  if (rules.replayTournament(config, players, games)) {
+    writeJSON(pool.playersPath, players);
   }
-
-  // Don't send the admin PIN to the client
-  var safeConfig = Object.assign({}, config);
-  delete safeConfig.adminPin;
-
-  // Derive teams from games data (so imported games auto-populate team lists)
-  var teams = {};
-  Object.keys(TEAMS_BY_DAY).forEach(function(day) {
-    teams[day] = TEAMS_BY_DAY[day];
+  var losses = [];
+  players.forEach(function(p, i) {
+    Object.keys(p.results).forEach(function(day) {
+      if (p.results[day] === 'loss' && before[i][day] !== 'loss') losses.push({ player: p, day: day });
+    });
   });
-  Object.keys(games).forEach(function(day) {
-    if (games[day] && games[day].length > 0) {
-      var dayTeams = [];
-      games[day].forEach(function(g) {
-        if (g.home && dayTeams.indexOf(g.home) === -1) dayTeams.push(g.home);
-        if (g.away && dayTeams.indexOf(g.away) === -1) dayTeams.push(g.away);
-      });
-      teams[day] = dayTeams.sort();
+  events.publish(pool.id, 'games', { games: games });
+  events.publish(pool.id, 'standings');
+  return losses;
+}
+// Secret issued with each entry; required for later picks and buybacks
+function newEntryToken() {
+  return crypto.randomBytes(16).toString('hex');
+}
+function findPlayerByToken(players, token) {
+  if (!token || typeof token !== 'string') return null;
+  return players.find(function(p) { return p.entryToken && p.entryToken === token; }) || null;
+}
+// Save a day's picks, keeping every version in pickHistory[day] as
+// { picks, at, by } so changes made before the lock can be traced
+function recordPicks(player, day, picks, by) {
+  if (!player.pickHistory) player.pickHistory = {};
+  if (!player.pickHistory[day]) {
+    player.pickHistory[day] = [];
+    // Entries from before history was kept start from what they had
+    if (player.picks[day]) {
+      player.pickHistory[day].push({ picks: player.picks[day], at: (player.submittedAt || {})[day] || null, by: 'player' });
     }
-  });
-
-  // Strip email addresses from public response — emails only available via admin export
-  var safePlayers = players.map(function(p) {
-    var sp = Object.assign({}, p);
-    delete sp.email;
-    return sp;
-  });
-
-  res.json({
-    config: safeConfig,
-    players: safePlayers,
-    games: games,
-    teams: teams,
-    picksPerDay: PICKS_PER_DAY,
-    buybackPicks: BUYBACK_PICKS,
-    dayOrder: DAY_ORDER
-  });
-});
-
-/* ── POST /api/picks ── submit picks for a player */
-app.post('/api/picks', function(req, res) {
-  var config = readJSON(CONFIG_PATH);
-  var body = req.body;
+  }
+  player.pickHistory[day].push({ picks: picks, at: new Date().toISOString(), by: by });
+  player.picks[day] = picks;
+}
+// Validate one pick submission ({ day, name, email, picks, token }) and apply
+// it to players in memory: a new entry on Thursday without a token, otherwise
+// the token's entry. options: { by, at, onTime } — who's submitting, when
+// the picks were made (an imported form response's timestamp; defaults to
+// now), and whether that was before the day's deadline, in which case a day
+// that has closed since still takes them in place of its no-show handling.
+// Returns { status, error } or { player, day, picks, created, revising }.
+function submitPicks(pool, config, players, games, body, options) {
+  var rs = rules.ruleSet(config);
   var day = body.day;
   var name = body.name;
   var picks = body.picks;
   var email = body.email;
+  var at = options.at ? Date.parse(options.at) : Date.now();
+  var fail = function(status, error) { return { status: status, error: error }; };
 
-  if (!name || !day || !Array.isArray(picks) || picks.length === 0) {
-    return res.status(400).json({ error: 'Missing required fields.' });
+  if (!day || !Array.isArray(picks) || picks.length === 0) {
+    return fail(400, 'Missing required fields.');
+  }
+  if (DAY_ORDER.indexOf(day) === -1) {
+    return fail(400, 'Unknown day: ' + day);
   }
 
-  // Check if day is closed
-  if (config.closedDays && config.closedDays.indexOf(day) !== -1) {
-    return res.status(400).json({ error: 'Entries for this day are closed.' });
+  // Check if day is closed. A pick on a postponed or cancelled game can
+  // still be swapped when the pool's policy allows a re-pick.
+  var keep = null;
+  if (config.closedDays && config.closedDays.indexOf(day) !== -1 && !options.onTime) {
+    var repicker = findPlayerByToken(players, body.token);
+    var swappable = repicker && repicker.picks[day] ? rules.repickTeams(repicker.picks[day], games[day], rs) : [];
+    if (swappable.length === 0) {
+      return fail(400, 'Entries for this day are closed.');
+    }
+    keep = repicker.picks[day].filter(function(t) { return swappable.indexOf(t) === -1; });
   }
 
   // Check if the pick day has advanced to this day yet
   var pickDayIdx = DAY_ORDER.indexOf(config.pickDay || config.currentDay);
   var reqDayIdx = DAY_ORDER.indexOf(day);
   if (reqDayIdx > pickDayIdx) {
-    return res.status(400).json({ error: 'Picks for this day are not open yet.' });
+    return fail(400, 'Picks for this day are not open yet.');
+  }
+
+  // Any spelling or alias of a team counts as that team (see lib/teams.js)
+  var registry = readTeams(pool);
+  var slateNames = [];
+  (games[day] || []).forEach(function(g) { slateNames.push(g.home, g.away); });
+  picks = picks.map(function(t) { return t === 'None' ? t : teams.matchName(registry, t, slateNames); });
+  if (keep && keep.some(function(t) { return picks.indexOf(t) === -1; })) {
+    return fail(400, 'Entries for this day are closed. Only picks on postponed or cancelled games can be changed.');
   }
 
   // Check for duplicate teams in submission
   var uniquePicks = [];
   for (var i = 0; i < picks.length; i++) {
-    if (uniquePicks.indexOf(picks[i]) === -1) uniquePicks.push(picks[i]);
+    var pickId = teams.idOf(registry, picks[i]);
+    if (uniquePicks.indexOf(pickId) === -1) uniquePicks.push(pickId);
   }
   if (uniquePicks.length !== picks.length) {
-    return res.status(400).json({ error: 'You must pick different teams.' });
+    return fail(400, 'You must pick different teams.');
   }
 
-  var players = readJSON(PLAYERS_PATH);
-  var games = readJSON(GAMES_PATH);
-
-  // Compute winners for this day
-  var dayGames = games[day] || [];
-  var dayWinners = [];
-  for (var g = 0; g < dayGames.length; g++) {
-    if (dayGames[g].final && dayGames[g].winner) {
-      dayWinners.push(dayGames[g].winner);
-    }
+  // Every team must be on this day's slate and its game must not have tipped
+  // off. Picks kept through a re-pick, or kept on games that have started,
+  // were checked when they were made.
+  var owner = findPlayerByToken(players, body.token);
+  // Picks the lock made for a no-show weren't the player's, so don't hold them to them
+  var noShow = options.onTime && owner ? (owner.noShows || {})[day] : null;
+  var started = owner && owner.picks[day] && !noShow ? rules.lockedPicks(owner.picks[day], games[day], at) : [];
+  var checked = picks.filter(function(t) { return (keep || []).indexOf(t) === -1 && started.indexOf(t) === -1; });
+  var slateErrors = rules.validatePicksAgainstSlate(checked, day, games[day], options.at ? at : null);
+  if (slateErrors.length > 0) {
+    return fail(400, slateErrors.join(' '));
   }
-  var hasResults = dayWinners.length > 0;
 
-  if (day === 'thursday_r1') {
+  if (day === 'thursday_r1' && !body.token) {
     // Thursday: create new entry
+    if (!name || !name.trim()) {
+      return fail(400, 'Name is required.');
+    }
     if (!email || !email.trim()) {
-      return res.status(400).json({ error: 'Email address is required.' });
+      return fail(400, 'Email address is required.');
     }
     var emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(email.trim())) {
-      return res.status(400).json({ error: 'Please enter a valid email address.' });
+      return fail(400, 'Please enter a valid email address.');
     }
 
-    var requiredPicks = PICKS_PER_DAY[day] || 2;
+    var requiredPicks = rules.requiredPicks(rs, day, false);
     if (picks.length !== requiredPicks) {
-      return res.status(400).json({ error: 'Exactly ' + requiredPicks + ' pick(s) required.' });
+      return fail(400, 'Exactly ' + requiredPicks + ' pick(s) required.');
     }
 
     var existing = players.find(function(p) { return p.name.toLowerCase() === name.trim().toLowerCase(); });
     if (existing) {
-      return res.status(400).json({ error: 'That name has already been submitted.' });
-    }
-
-    // Only evaluate picks whose games are actually final
-    var decidedTeamsT = [];
-    for (var dtT = 0; dtT < dayGames.length; dtT++) {
-      if (dayGames[dtT].final && dayGames[dtT].winner) {
-        decidedTeamsT.push(dayGames[dtT].home);
-        decidedTeamsT.push(dayGames[dtT].away);
-      }
-    }
-    var decidedPicksT = picks.filter(function(t) { return decidedTeamsT.indexOf(t) !== -1; });
-    var undecidedPicksT = picks.filter(function(t) { return decidedTeamsT.indexOf(t) === -1; });
-
-    var result = 'pending';
-    var status = 'alive';
-    if (decidedPicksT.length > 0) {
-      var hasPickLossT = decidedPicksT.some(function(t) { return dayWinners.indexOf(t) === -1; });
-      if (hasPickLossT) {
-        result = 'loss';
-        status = 'eliminated';
-      } else if (undecidedPicksT.length === 0) {
-        result = 'win';
-      }
+      return fail(400, 'That name has already been submitted.');
     }
 
     var newPlayer = {
-      id: Date.now(),
+      id: Math.max(Date.now(), players.reduce(function(max, p) { return Math.max(max, p.id + 1); }, 0)),
       name: name.trim(),
       email: email.trim(),
-      status: status,
+      entryToken: newEntryToken(),
+      status: 'alive',
       buybacks: 0,
       needsBuyback: false,
-      totalSpent: 25,
+      totalSpent: rs.entryFee,
       picks: {},
-      results: {}
+      results: {},
+      submittedAt: {}
     };
-    newPlayer.picks[day] = picks;
-    newPlayer.results[day] = result;
+    recordPicks(newPlayer, day, picks, options.by);
+    newPlayer.submittedAt[day] = new Date(at).toISOString();
     players.push(newPlayer);
-  } else {
-    // Later days: update existing entry
-    var player = players.find(function(p) { return p.name.toLowerCase() === name.trim().toLowerCase(); });
-    if (!player) {
-      return res.status(400).json({ error: 'Entry not found. Check your name matches your original entry.' });
+    return { player: newPlayer, day: day, picks: picks, created: true, revising: false };
+  }
+
+  // Existing entry, identified by its entry token: picks for a later day,
+  // or a change to picks already made for a day that hasn't locked
+  var player = findPlayerByToken(players, body.token);
+  if (!player) {
+    return fail(401, 'Entry link not recognized. Use the link from your original entry, or ask the admin for a new one.');
+  }
+  if (player.status === 'eliminated' && !player.needsBuyback && !(noShow && player.results[day] === 'missed')) {
+    return fail(400, 'You have been eliminated.');
+  }
+  var revising = !!player.picks[day] && !noShow;
+  if (revising) {
+    // Swapping out a team whose game is underway would let a player dodge a
+    // loss. The other picks can still change (with the 'game' lock mode, until
+    // their own games tip off); a re-pick only swaps out the postponed or
+    // cancelled games.
+    var underway = started.filter(function(team) { return picks.indexOf(team) === -1; });
+    if (underway.length > 0) {
+      return fail(400, underway.join(', ') + (underway.length === 1 ? '\'s game has' : '\' games have') + ' already started, so these picks can\'t be changed.');
     }
-    if (player.status === 'eliminated' && !player.needsBuyback) {
-      return res.status(400).json({ error: 'You have been eliminated.' });
+  }
+  var unpaid = unpaidError(pool, player, rs);
+  if (unpaid) {
+    return fail(403, unpaid);
+  }
+
+  // Require the previous day to be won (or survived) before picking the next day
+  var dayIdx = DAY_ORDER.indexOf(day);
+  if (dayIdx > 0 && !player.needsBuyback) {
+    var prevDay = DAY_ORDER[dayIdx - 1];
+    if (player.picks[prevDay] && !rules.advanced(player.results[prevDay])) {
+      return fail(400, 'Your picks for ' + prevDay.replace('_', ' ') + ' are not yet finalized as wins. Check back once results are final.');
     }
-    if (player.picks[day]) {
-      return res.status(400).json({ error: 'You already submitted picks for this day.' });
+  }
+
+  // Handle "None" pick — player has no available teams, automatic loss when finalized
+  var isNonePick = day !== 'thursday_r1' && rules.isNonePick(picks);
+
+  if (!isNonePick) {
+    // Determine required picks (buyback players need more, including when they change them)
+    var buyingBack = player.needsBuyback || (player.boughtBackOn || []).indexOf(day) !== -1;
+    var requiredPicks2 = rules.requiredPicks(rs, day, buyingBack);
+    if (picks.length !== requiredPicks2) {
+      return fail(400, 'Exactly ' + requiredPicks2 + ' pick(s) required.');
     }
 
-    // Require previous day's result to be 'win' before picking the next day
-    var dayIdx = DAY_ORDER.indexOf(day);
-    if (dayIdx > 0 && !player.needsBuyback) {
-      var prevDay = DAY_ORDER[dayIdx - 1];
-      if (player.picks[prevDay] && player.results[prevDay] !== 'win') {
-        return res.status(400).json({ error: 'Your picks for ' + prevDay.replace('_', ' ') + ' are not yet finalized as wins. Check back once results are final.' });
-      }
+    // Check for team reuse across all other days (the picks being replaced don't count)
+    var allUsedTeams = [];
+    Object.keys(player.picks).forEach(function(d) {
+      if (d === day) return;
+      player.picks[d].forEach(function(t) {
+        var id = teams.idOf(registry, t);
+        if (allUsedTeams.indexOf(id) === -1) allUsedTeams.push(id);
+      });
+    });
+    var reused = picks.filter(function(t) { return allUsedTeams.indexOf(teams.idOf(registry, t)) !== -1; });
+    if (reused.length > 0) {
+      return fail(400, 'Cannot reuse teams: ' + reused.join(', '));
     }
+  }
 
-    // Handle "None" pick — player has no available teams, automatic loss when finalized
-    var isNonePick = picks.length === 1 && picks[0] === 'None';
+  // Results, status and buyback completion all come from the replay
+  if (noShow) delete player.noShows[day];
+  recordPicks(player, day, picks, options.by);
+  // Back in if the no-show had knocked them out, for whatever else is applied to players
+  if (noShow) rules.replayTournament(config, players, games);
+  // Charges are dated from the first submission (see lib/ledger.js)
+  if (!player.submittedAt) player.submittedAt = {};
+  if (!revising) player.submittedAt[day] = new Date(at).toISOString();
+  return { player: player, day: day, picks: picks, created: false, revising: revising };
+}
+// Close the pick day if its first tip-off has passed (see lib/schedule.js)
+function runAutoLock(pool) {
+  if (pool.archived) return;
+  var config = readJSON(pool.configPath);
+  var locked = schedule.applyAutoLock(config, readJSON(pool.gamesPath));
+  if (locked.length > 0) {
+    writeJSON(pool.configPath, config);
+    publishLock(pool, config);
+    var report = processNoShows(pool, config, locked, null);
+    console.log('Auto-locked ' + pool.id + ': ' + locked.join(', ') +
+      (report.length > 0 ? ' (' + report.length + ' no-show' + (report.length === 1 ? '' : 's') + ')' : ''));
+  }
+}
+// Deal with a no-show on a locked day. action is 'eliminated', 'auto-picked'
+// or 'excused'; by is 'lock' or 'admin'. Fallback picks from an earlier
+// auto-pick are taken back when the action changes. They're chosen as of the
+// day's first lock, so games played since then still count.
+function applyNoShow(player, day, action, config, games, by) {
+  var rs = rules.ruleSet(config);
+  if (!player.noShows) player.noShows = {};
+  var previous = player.noShows[day];
+  if (previous && previous.action === 'auto-picked' && action !== 'auto-picked') {
+    player.pickHistory[day].push({ picks: [], at: new Date().toISOString(), by: by === 'lock' ? 'auto' : by });
+    delete player.picks[day];
+    if (player.submittedAt) delete player.submittedAt[day];
+  }
+  if (action === 'auto-picked' && !(previous && previous.action === 'auto-picked')) {
+    var firstLock = schedule.firstLock(config, games, day);
+    var at = firstLock ? Date.parse(firstLock) : null;
+    recordPicks(player, day, rules.fallbackPicks(player, day, games[day], rules.requiredPicks(rs, day, false), at), 'auto');
+    if (!player.submittedAt) player.submittedAt = {};
+    player.submittedAt[day] = new Date().toISOString();
+  }
+  player.noShows[day] = { action: action, at: new Date().toISOString(), by: by };
+}
+// Take back what locking a day did to players who hadn't picked, for when
+// it reopens: their 'missed' eliminations and fallback picks. No-shows the
+// admin has since decided stay as they are.
+function undoNoShows(pool, config, day) {
+  var players = readJSON(pool.playersPath);
+  var changed = false;
+  players.forEach(function(player) {
+    var noShow = (player.noShows || {})[day];
+    if (!noShow || noShow.by !== 'lock') return;
+    if (noShow.action === 'auto-picked') {
+      player.pickHistory[day].push({ picks: [], at: new Date().toISOString(), by: 'admin' });
+      delete player.picks[day];
+      if (player.submittedAt) delete player.submittedAt[day];
+    }
+    delete player.noShows[day];
+    changed = true;
+  });
+  if (!changed) return;
+  rules.replayTournament(config, players, readJSON(pool.gamesPath));
+  writeJSON(pool.playersPath, players);
+  events.publish(pool.id, 'standings');
+}
+// After days lock, eliminate or auto-pick every alive player who didn't pick,
+// per the pool's noShow rule. Returns [{ playerId, name, day, action, picks }].
+function processNoShows(pool, config, days, req) {
+  var rs = rules.ruleSet(config);
+  var players = readJSON(pool.playersPath);
+  var games = readJSON(pool.gamesPath);
+  var action = rs.noShow === 'auto-pick' ? 'auto-picked' : 'eliminated';
+  var report = [];
+  days.forEach(function(day) {
+    // Earlier days' results decide who is still alive on this one
+    rules.replayTournament(config, players, games);
+    rules.findNoShows(players, day).forEach(function(player) {
+      applyNoShow(player, day, action, config, games, 'lock');
+      report.push({ playerId: player.id, name: player.name, day: day, action: action, picks: player.picks[day] || null });
+    });
+  });
+  if (report.length === 0) return report;
 
-    if (!isNonePick) {
-      // Determine required picks (buyback players need more)
-      var requiredPicks2 = (player.needsBuyback && BUYBACK_PICKS[day])
-        ? BUYBACK_PICKS[day]
-        : (PICKS_PER_DAY[day] || 1);
-      if (picks.length !== requiredPicks2) {
-        return res.status(400).json({ error: 'Exactly ' + requiredPicks2 + ' pick(s) required.' });
-      }
+  rules.replayTournament(config, players, games);
+  var ctx = mailContext(pool, req);
+  report.forEach(function(r) {
+    var player = players.find(function(p) { return p.id === r.playerId; });
+    notify.enqueue(pool, ctx, player, noShowNotice(ctx, config, rs, player, r.day));
+  });
+  writeJSON(pool.playersPath, players);
+  flushOutbox(pool);
+  events.publish(pool.id, 'standings');
+  return report;
+}
+// Email for a no-show, with a buyback link if they were knocked out and the window is open
+function noShowNotice(ctx, config, rs, player, day) {
+  var picks = player.noShows[day].action === 'auto-picked' ? player.picks[day] : null;
+  var buybackDay = picks ? null : rules.buybackDayAfter(rs, player, day);
+  if (buybackDay && (config.closedDays || []).indexOf(buybackDay) !== -1) buybackDay = null;
+  return notify.noShowMessage(ctx, player, day, picks, buybackDay, rs);
+}
+// Tell live clients the lock state or pick day changed
+function publishLock(pool, config) {
+  events.publish(pool.id, 'lock', {
+    closedDays: config.closedDays || [], pickDay: config.pickDay || config.currentDay, currentDay: config.currentDay
+  });
+}
+// Who made a request, for the journal: the admin, the entry whose token it
+// carried, a new entry's name, or the server itself (auto-lock on a page load)
+function journalActor(req) {
+  if (req.method === 'GET') return 'system';
+  if (auth.getSession(auth.sessionIdFromRequest(req), req.pool.id)) return 'admin';
+  var body = req.body || {};
+  if (body.token && store.exists(req.pool.playersPath)) {
+    var player = findPlayerByToken(readJSON(req.pool.playersPath), body.token);
+    if (player) return player.name;
+  }
+  if (typeof body.name === 'string' && body.name.trim()) return body.name.trim();
+  return 'anonymous';
+}
+// Pool name and link base for email templates
+function mailContext(pool, req) {
+  var baseUrl = process.env.PUBLIC_URL || (req ? req.protocol + '://' + req.get('host') : 'http://localhost:' + PORT);
+  return {
+    poolId: pool.id, poolName: pool.name + ' ' + pool.season, baseUrl: baseUrl.replace(/\/$/, ''),
+    timeZone: pool.timeZone || TIME_ZONE
+  };
+}
+// Send whatever is due in a pool's outbox; one pass per pool at a time.
+// Called inside a request, it waits for the request's changes to commit,
+// so nothing goes out for a change that's rolled back.
+var flushing = {};
+function flushOutbox(pool) {
+  store.afterCommit(function() {
+    if (flushing[pool.id]) return;
+    flushing[pool.id] = true;
+    notify.flush(pool, mailTransport, MAIL_FROM, function() { delete flushing[pool.id]; });
+  });
+}
+// Remind players who still need to pick once the pick day's deadline is close
+function runReminders(pool) {
+  if (pool.archived) return;
+  var config = readJSON(pool.configPath);
+  var day = config.pickDay || config.currentDay;
+  if ((config.closedDays || []).indexOf(day) !== -1) return;
+  // With the 'game' lock mode, picks start locking at the first tip-off
+  var deadline = schedule.firstLock(config, readJSON(pool.gamesPath), day);
+  if (!deadline) return;
+  var msLeft = Date.parse(deadline) - Date.now();
+  if (msLeft <= 0 || msLeft > REMINDER_HOURS * 60 * 60 * 1000) return;
+
+  var players = readJSON(pool.playersPath);
+  var ctx = mailContext(pool, null);
+  var queued = 0;
+  players.forEach(function(p) {
+    var needsPicks = (p.status === 'alive' || p.needsBuyback) && !(p.picks[day] && p.picks[day].length > 0);
+    if (needsPicks && notify.enqueue(pool, ctx, p, notify.reminderMessage(ctx, p, day, deadline))) queued += 1;
+  });
+  if (queued > 0) {
+    writeJSON(pool.playersPath, players);
+    flushOutbox(pool);
+  }
+}
+// Freeze a pool, recording its winners and pot for the archive view. The
+// champions from a finished pool's outcome win over the fallback guess.
+function archivePool(pool) {
+  var players = readJSON(pool.playersPath);
+  var result = outcome.summary(readJSON(pool.configPath).outcome, players);
+  var finished = result && (result.status === 'won' || result.status === 'split');
+  pools.update(pool.id, {
+    archived: true,
+    archivedAt: new Date().toISOString(),
+    winners: finished ? result.champions : pools.seasonWinners(players, DAY_ORDER),
+    pot: players.reduce(function(sum, p) { return sum + (p.totalSpent || 0); }, 0)
+  });
+}
 
-      // Check for team reuse across all previous days
-      var allUsedTeams = [];
-      Object.values(player.picks).forEach(function(dayPicks) {
-        dayPicks.forEach(function(t) {
-          if (allUsedTeams.indexOf(t) === -1) allUsedTeams.push(t);
-        });
+// Fresh data files for a new pool. The admin credential and rule set carry
+// over from the pool it was created from, if any.
+function createPoolFiles(pool, fromConfig) {
+  writeJSON(pool.configPath, {
+    currentDay: 'thursday_r1',
+    pickDay: 'thursday_r1',
+    closedDays: [],
+    adminAuth: fromConfig ? fromConfig.adminAuth : undefined,
+    ruleSet: fromConfig ? rules.ruleSet(fromConfig) : rules.DEFAULT_RULE_SET
+  });
+  writeJSON(pool.playersPath, []);
+  writeJSON(pool.gamesPath, {});
+  writeJSON(pool.paymentsPath, []);
+}
+
+// Hash a legacy plaintext PIN; ensure an admin credential, pickDay and rule set exist
+function upgradePoolConfig(pool) {
+  var _cfg = readJSON(pool.configPath);
+  var _cfgChanged = false;
+  if (_cfg.adminPin) {
+    _cfg.adminAuth = auth.hashPassword(_cfg.adminPin);
+    delete _cfg.adminPin;
+    _cfgChanged = true;
+  }
+  if (!_cfg.adminAuth) {
+    // First run: take ADMIN_PASSWORD from the environment, or generate one and print it once
+    var _initialPassword = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64');
+    _cfg.adminAuth = auth.hashPassword(_initialPassword);
+    if (!process.env.ADMIN_PASSWORD) console.log('Generated admin password for pool ' + pool.id + ': ' + _initialPassword);
+    _cfgChanged = true;
+  }
+  if (!_cfg.pickDay) { _cfg.pickDay = _cfg.currentDay || 'thursday_r1'; _cfgChanged = true; }
+  if (!_cfg.ruleSet) {
+    // Older configs only had buybackDays at the top level
+    _cfg.ruleSet = rules.ruleSet(_cfg);
+    delete _cfg.buybackDays;
+    _cfgChanged = true;
+  }
+  if (_cfgChanged) writeJSON(pool.configPath, _cfg);
+}
+
+// First deploy creates the registry; data from before pools existed becomes the default pool
+store.open(DATA_DIR, { backend: STORAGE });
+pools.init(DATA_DIR, { name: 'Knockout Pool', season: String(new Date().getFullYear()) });
+pools.list().forEach(function(entry) {
+  var pool = pools.get(entry.id);
+  store.transaction(function() {
+    if (!store.exists(pool.configPath)) createPoolFiles(pool, null);
+    if (!store.exists(pool.playersPath)) writeJSON(pool.playersPath, []);
+    if (!store.exists(pool.gamesPath)) writeJSON(pool.gamesPath, {});
+    if (!store.exists(pool.paymentsPath)) writeJSON(pool.paymentsPath, []);
+    upgradePoolConfig(pool);
+  });
+});
+
+/* ────────────────────────────────
+   Constants
+──────────────────────────────── */
+const DAY_ORDER = rules.DAY_ORDER;
+
+const TEAMS_BY_DAY = {};
+
+/* ══════════════════════════════
+   API Routes
+   Every pool-scoped route below is mounted at /api/pools/:poolId, and also
+   at /api for the default pool so older links keep working. The route
+   comments give paths relative to the pool.
+══════════════════════════════ */
+const api = express.Router({ mergeParams: true });
+
+/* ── GET /api/pools ── every pool on this server, with winners for archived seasons */
+app.get('/api/pools', function(req, res) {
+  var defaultPool = pools.defaultId();
+  res.json({
+    defaultPool: defaultPool,
+    pools: pools.list().map(function(p) { return pools.summary(p, defaultPool); })
+  });
+});
+
+app.use('/api/pools/:poolId', function(req, res, next) {
+  req.pool = pools.get(req.params.poolId);
+  if (!req.pool) return res.status(404).json({ error: 'Pool not found: ' + req.params.poolId });
+  next();
+}, api);
+
+app.use('/api', function(req, res, next) {
+  req.pool = pools.get(pools.defaultId());
+  next();
+}, api);
+
+/* ── Each request is one storage transaction ──
+   Handlers run synchronously inside next(), so everything a route reads and
+   writes happens under the storage lock and its writes land together, along
+   with the journal entry recording them (see lib/journal.js). The response
+   is held until the transaction commits, so nobody is told about a change
+   that wasn't saved. A route that throws (see the error handler after the
+   routes) rolls back everything it wrote and gets a 500 instead. */
+api.use(function(req, res, next) {
+  var end = res.end;
+  var held = null;
+  res.end = function() {
+    held = arguments;
+    return res;
+  };
+  try {
+    store.transaction(function() {
+      next();
+      if (res.locals.failed) throw res.locals.failed;
+      // A route can describe its change further in res.locals.journal ({ kind, label })
+      journal.record(req.pool, Object.assign({ actor: journalActor(req), method: req.method, path: req.path }, res.locals.journal));
+    });
+  } catch (err) {
+    console.error('Failed ' + req.method + ' ' + req.originalUrl + ', nothing saved:', err);
+    res.end = end;
+    if (res.headersSent) return res.end();
+    res.removeHeader('Content-Type');
+    res.removeHeader('ETag');
+    return res.status(500).json({ error: 'Something went wrong, so nothing was saved. Try again.' });
+  }
+  res.end = end;
+  if (held) end.apply(res, held);
+});
+
+/* ── Archived pools are read-only; admins can still log in, export or unarchive ── */
+api.use(function(req, res, next) {
+  var allowed = ['/admin/login', '/admin/logout', '/admin/export', '/admin/archive', '/admin/create-pool'];
+  if (req.pool.archived && req.method !== 'GET' && allowed.indexOf(req.path) === -1) {
+    return res.status(403).json({ error: 'This pool is archived and read-only.' });
+  }
+  next();
+});
+
+/* ── GET /state ── returns all data for the frontend */
+api.get('/state', function(req, res) {
+  runAutoLock(req.pool);
+  var config = readJSON(req.pool.configPath);
+  var players = readJSON(req.pool.playersPath);
+  var games = readJSON(req.pool.gamesPath);
+
+  // Replay the tournament so statuses are always correct regardless of stale data
+  if (rules.replayTournament(config, players, games)) {
+    writeJSON(req.pool.playersPath, players);
+  }
+  // See whether that ended the pool (see lib/outcome.js)
+  if (outcome.refresh(config, players, games, rules.ruleSet(config), readTeams(req.pool))) {
+    writeJSON(req.pool.configPath, config);
+  }
+
+  var field = readBracket(req.pool);
+
+  // Don't send the admin credential or survivors' votes to the client
+  var safeConfig = Object.assign({}, config);
+  delete safeConfig.adminAuth;
+  delete safeConfig.outcome;
+
+  // Derive teams from games data (so imported games auto-populate team lists)
+  var slateTeams = {};
+  Object.keys(TEAMS_BY_DAY).forEach(function(day) {
+    slateTeams[day] = TEAMS_BY_DAY[day];
+  });
+  Object.keys(games).forEach(function(day) {
+    if (games[day] && games[day].length > 0) {
+      var dayTeams = [];
+      games[day].forEach(function(g) {
+        if (g.home && dayTeams.indexOf(g.home) === -1) dayTeams.push(g.home);
+        if (g.away && dayTeams.indexOf(g.away) === -1) dayTeams.push(g.away);
       });
-      var reused = picks.filter(function(t) { return allUsedTeams.indexOf(t) !== -1; });
-      if (reused.length > 0) {
-        return res.status(400).json({ error: 'Cannot reuse teams: ' + reused.join(', ') });
-      }
+      slateTeams[day] = dayTeams.sort();
     }
+  });
 
-    // Only evaluate picks whose games are actually final
-    var result2 = 'pending';
-    if (isNonePick) {
-      // "None" stays pending until all games are final, then becomes a loss
-      var allFinal = dayGames.length > 0 && dayGames.every(function(g) { return g.final; });
-      result2 = allFinal ? 'loss' : 'pending';
-    } else {
-      var decidedTeamsP = [];
-      for (var dt = 0; dt < dayGames.length; dt++) {
-        if (dayGames[dt].final && dayGames[dt].winner) {
-          decidedTeamsP.push(dayGames[dt].home);
-          decidedTeamsP.push(dayGames[dt].away);
-        }
-      }
-      var decidedPicksP = picks.filter(function(t) { return decidedTeamsP.indexOf(t) !== -1; });
-      var undecidedPicksP = picks.filter(function(t) { return decidedTeamsP.indexOf(t) === -1; });
-
-      if (decidedPicksP.length > 0) {
-        var hasPickLoss = decidedPicksP.some(function(t) { return dayWinners.indexOf(t) === -1; });
-        if (hasPickLoss) {
-          result2 = 'loss';
-        } else if (undecidedPicksP.length === 0) {
-          result2 = 'win';
+  // Picks for days that haven't locked are secret: everyone else sees that an
+  // entry has picked (an empty list, with the day in hiddenPicks), not which
+  // teams. With the 'game' lock mode each pick shows once its game tips off,
+  // and the day stays in hiddenPicks while any are still secret. Admins see
+  // everything, and so does the entry's own device, which sends its saved
+  // entry tokens in X-Entry-Tokens.
+  var isAdmin = !!auth.getSession(auth.sessionIdFromRequest(req), req.pool.id);
+  var ownTokens = String(req.get('X-Entry-Tokens') || '').split(',').filter(Boolean);
+  var closedDays = config.closedDays || [];
+  var byGame = rules.ruleSet(config).lockMode === 'game';
+
+  // Strip email addresses and entry tokens from public response — only available via admin export
+  var safePlayers = players.map(function(p) {
+    var sp = Object.assign({}, p);
+    delete sp.email;
+    delete sp.entryToken;
+    delete sp.unsubscribeToken;
+    if (!isAdmin && ownTokens.indexOf(p.entryToken) === -1) {
+      delete sp.pickHistory;
+      sp.picks = {};
+      sp.hiddenPicks = [];
+      Object.keys(p.picks).forEach(function(day) {
+        if (closedDays.indexOf(day) !== -1) {
+          sp.picks[day] = p.picks[day];
+        } else {
+          sp.picks[day] = byGame ? rules.lockedPicks(p.picks[day], games[day]) : [];
+          if (sp.picks[day].length < p.picks[day].length) sp.hiddenPicks.push(day);
         }
-      }
+      });
     }
+    return sp;
+  });
 
-    player.picks[day] = picks;
-    player.results[day] = result2;
-    if (result2 === 'loss') {
-      player.status = 'eliminated';
-    }
-    // Finalize buyback: resurrect player, charge $25, increment counter
-    if (player.needsBuyback) {
-      player.needsBuyback = false;
-      player.status = result2 === 'loss' ? 'eliminated' : 'alive';
-      player.buybacks += 1;
-      player.totalSpent += 25;
+  res.json({
+    pool: pools.summary(req.pool, pools.defaultId()),
+    config: safeConfig,
+    players: safePlayers,
+    games: games,
+    teams: slateTeams,
+    deadlines: schedule.allDeadlines(config, games),
+    bracket: field ? bracket.describe(field, games) : null,
+    ruleSet: rules.ruleSet(config),
+    outcome: outcome.summary(config.outcome, players),
+    dayOrder: DAY_ORDER
+  });
+});
+
+/* ── GET /stats ── survival curve, pick popularity, costly upsets and per-entry stats for closed days */
+api.get('/stats', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var players = readJSON(req.pool.playersPath);
+  var games = readJSON(req.pool.gamesPath);
+  // Stats read the replayed results; /state is the one that saves them
+  rules.replayTournament(config, players, games);
+  res.json(stats.compute(players, games, config));
+});
+
+/* ── GET /planner/:playerId ── which unused teams could still play each remaining day, with run-out warnings */
+api.get('/planner/:playerId', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var players = readJSON(req.pool.playersPath);
+  var player = players.find(function(p) { return String(p.id) === req.params.playerId; });
+  if (!player) return res.status(404).json({ error: 'Player not found.' });
+  // The plan shows this entry's picks for the open day, so it's private like /state
+  var isAdmin = !!auth.getSession(auth.sessionIdFromRequest(req), req.pool.id);
+  var ownTokens = String(req.get('X-Entry-Tokens') || '').split(',').filter(Boolean);
+  if (!isAdmin && ownTokens.indexOf(player.entryToken) === -1) {
+    return res.status(403).json({ error: 'Open the planner from your own entry.' });
+  }
+  var field = readBracket(req.pool);
+  if (!field) return res.status(400).json({ error: 'The bracket has not been set up yet, so there are no future games to plan around.' });
+
+  var games = readJSON(req.pool.gamesPath);
+  rules.replayTournament(config, players, games);
+  res.json(planner.plan(player, bracket.describe(field, games), config, rules.ruleSet(config)));
+});
+
+/* ── GET /sweat ── who survives each way the day's undecided games could go, with optional hypothetical winners */
+api.get('/sweat', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var day = req.query.day || config.currentDay;
+  if (DAY_ORDER.indexOf(day) === -1) return res.status(400).json({ error: 'Unknown day.' });
+  // Picks for a day that hasn't locked are secret (see /state)
+  if ((config.closedDays || []).indexOf(day) === -1) {
+    return res.status(400).json({ error: 'Picks for this day are secret until it locks.' });
+  }
+  var games = readJSON(req.pool.gamesPath);
+  // Hypothetical winners as ?winners={"gameId":"Team"} (JSON, so team names can hold any character)
+  var winners = {};
+  if (req.query.winners) {
+    try {
+      winners = JSON.parse(req.query.winners);
+    } catch (e) {
+      winners = null;
     }
+    var valid = winners && typeof winners === 'object' && !Array.isArray(winners) &&
+      Object.keys(winners).every(function(id) { return typeof winners[id] === 'string'; });
+    if (!valid) return res.status(400).json({ error: 'winners must be a JSON object of game id to team.' });
+  }
+  var errors = sweat.checkWinners(games[day], winners, rules.ruleSet(config));
+  if (errors.length > 0) return res.status(400).json({ error: errors.join(' ') });
+
+  var players = readJSON(req.pool.playersPath);
+  res.json(sweat.compute(players, games, config, day, winners, readTeams(req.pool)));
+});
+
+/* ── GET /events ── Server-Sent Events stream of live updates (see lib/events.js) */
+api.get('/events', function(req, res) {
+  events.subscribe(req.pool.id, req, res);
+});
+
+/* ── POST /picks ── submit picks for a player */
+api.post('/picks', function(req, res) {
+  runAutoLock(req.pool);
+  var config = readJSON(req.pool.configPath);
+  var players = readJSON(req.pool.playersPath);
+  var games = readJSON(req.pool.gamesPath);
+
+  var result = submitPicks(req.pool, config, players, games, req.body, { by: 'player' });
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  rules.replayTournament(config, players, games);
+
+  var ctx = mailContext(req.pool, req);
+  notify.enqueue(req.pool, ctx, result.player, notify.confirmationMessage(ctx, result.player, result.day, result.picks, result.revising));
+
+  writeJSON(req.pool.playersPath, players);
+  flushOutbox(req.pool);
+  if (result.created) events.publish(req.pool.id, 'entry', { name: result.player.name });
+  events.publish(req.pool.id, 'standings');
+  // New entries get their token back once; the client keeps it on the device
+  res.json(result.created ? { ok: true, token: result.player.entryToken } : { ok: true, revised: result.revising });
+});
+
+/* ── POST /outcome/vote ── a survivor votes to split the pot or keep playing */
+api.post('/outcome/vote', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var players = readJSON(req.pool.playersPath);
+  var player = findPlayerByToken(players, req.body.token);
+  if (!player) {
+    return res.status(401).json({ error: 'Entry link not recognized.' });
   }
 
-  writeJSON(PLAYERS_PATH, players);
+  var error = outcome.vote(config, players, player.id, req.body.choice);
+  if (error) return res.status(400).json({ error: error });
+  writeJSON(req.pool.configPath, config);
+  events.publish(req.pool.id, 'standings');
+  res.json({ ok: true, outcome: outcome.summary(config.outcome, players) });
+});
+
+/* ── POST /entry ── look up which entry a token belongs to */
+api.post('/entry', function(req, res) {
+  var players = readJSON(req.pool.playersPath);
+  var player = findPlayerByToken(players, req.body.token);
+  if (!player) {
+    return res.status(404).json({ error: 'Entry link not recognized.' });
+  }
+  res.json({ ok: true, id: player.id, name: player.name });
+});
+
+/* ── GET /unsubscribe ── one-click opt-out from the link in every email */
+api.get('/unsubscribe', function(req, res) {
+  var players = readJSON(req.pool.playersPath);
+  var token = req.query.token;
+  var player = token ? players.find(function(p) { return p.unsubscribeToken === token; }) : null;
+  if (!player) {
+    return res.status(404).send('<p>This unsubscribe link is not valid.</p>');
+  }
+
+  player.unsubscribed = true;
+  writeJSON(req.pool.playersPath, players);
+  notify.cancelForPlayer(req.pool, player.id);
+  res.send('<p>' + player.name.replace(/[<>&"]/g, '') + ' will no longer get emails from ' +
+    req.pool.name.replace(/[<>&"]/g, '') + '. Ask the admin if you want them back.</p>');
+});
+
+/* ── POST /admin/login ── exchange the admin password for a session cookie */
+api.post('/admin/login', function(req, res) {
+  var address = req.ip;
+  var wait = auth.lockoutRemaining(address);
+  if (wait > 0) {
+    return res.status(429).json({ error: 'Too many failed attempts. Try again in ' + Math.ceil(wait / 60000) + ' minute(s).' });
+  }
+
+  var config = readJSON(req.pool.configPath);
+  if (!auth.verifyPassword(req.body.password, config.adminAuth)) {
+    auth.recordFailure(address);
+    return res.status(401).json({ error: 'Incorrect password.' });
+  }
+
+  auth.clearFailures(address);
+  res.setHeader('Set-Cookie', auth.sessionCookie(req, auth.createSession(req.pool.id, auth.sessionIdFromRequest(req))));
   res.json({ ok: true });
 });
 
-/* ── POST /api/admin/lock ── verify PIN, lock/unlock a day's entries */
-app.post('/api/admin/lock', function(req, res) {
-  var config = readJSON(CONFIG_PATH);
-  var pin = req.body.pin;
-  var day = req.body.day;
-  var action = req.body.action; // 'verify', 'lock', or 'unlock'
+/* ── GET /admin/session ── is this browser logged in? */
+api.get('/admin/session', function(req, res) {
+  res.json({ ok: !!auth.getSession(auth.sessionIdFromRequest(req), req.pool.id) });
+});
 
-  // Verify action: just check the PIN
-  if (action === 'verify') {
-    if (pin !== config.adminPin) {
-      return res.status(401).json({ error: 'Incorrect PIN.' });
-    }
-    return res.json({ ok: true });
+/* ── POST /admin/logout ── end the session */
+api.post('/admin/logout', function(req, res) {
+  var sessionId = auth.sessionIdFromRequest(req);
+  auth.destroySession(sessionId, req.pool.id);
+  // Keep the cookie while the browser is still logged in to other pools
+  if (!auth.getSession(sessionId)) res.setHeader('Set-Cookie', auth.clearedSessionCookie());
+  res.json({ ok: true });
+});
+
+/* ── Every other /admin/* route requires a session for this pool ── */
+api.use('/admin', function(req, res, next) {
+  if (!auth.getSession(auth.sessionIdFromRequest(req), req.pool.id)) {
+    return res.status(401).json({ error: 'Admin login required.' });
   }
+  next();
+});
+
+/* ── POST /admin/password ── change the admin password */
+api.post('/admin/password', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var current = req.body.current;
+  var next = req.body.next;
+
+  if (!auth.verifyPassword(current, config.adminAuth)) {
+    return res.status(401).json({ error: 'Current password is incorrect.' });
+  }
+  if (typeof next !== 'string' || next.length < auth.MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: 'New password must be at least ' + auth.MIN_PASSWORD_LENGTH + ' characters.' });
+  }
+
+  config.adminAuth = auth.hashPassword(next);
+  writeJSON(req.pool.configPath, config);
+  auth.destroyOtherSessions(auth.sessionIdFromRequest(req), req.pool.id);
+  res.json({ ok: true });
+});
 
-  // All lock/unlock actions require valid PIN
-  if (pin !== config.adminPin) {
-    return res.status(401).json({ error: 'Incorrect PIN.' });
+/* ── POST /admin/lock ── lock/unlock a day's entries */
+api.post('/admin/lock', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var day = req.body.day;
+  var action = req.body.action; // 'lock' or 'unlock'
+  if (DAY_ORDER.indexOf(day) === -1) {
+    return res.status(400).json({ error: 'Unknown day: ' + day });
   }
 
   if (!config.closedDays) config.closedDays = [];
 
+  var noShows = [];
   if (action === 'lock') {
-    if (config.closedDays.indexOf(day) === -1) {
-      config.closedDays.push(day);
-    }
-    // Auto-advance pickDay to the next day when locking the current pick day
-    if (day === config.pickDay) {
-      var pickIdx = DAY_ORDER.indexOf(config.pickDay);
-      if (pickIdx < DAY_ORDER.length - 1) {
-        config.pickDay = DAY_ORDER[pickIdx + 1];
-      }
-    }
-    // Auto-advance currentDay so standings show the latest locked day
-    var lockedDayIdx = DAY_ORDER.indexOf(day);
-    var currentDayIdx = DAY_ORDER.indexOf(config.currentDay);
-    if (lockedDayIdx > currentDayIdx) {
-      config.currentDay = day;
-    }
+    schedule.lockDay(config, day);
+    noShows = processNoShows(req.pool, config, [day], req);
   } else if (action === 'unlock') {
     config.closedDays = config.closedDays.filter(function(d) { return d !== day; });
+    // Reopening a day whose deadline has passed turns its auto-lock off,
+    // otherwise it would close again on the next request
+    var games = readJSON(req.pool.gamesPath);
+    var deadline = schedule.dayDeadline(config, games, day);
+    if (deadline && Date.parse(deadline) <= Date.now()) {
+      if (!config.deadlineOverrides) config.deadlineOverrides = {};
+      config.deadlineOverrides[day] = false;
+    }
     // If unlocking the current day, revert currentDay to the latest remaining closed day
     if (day === config.currentDay && config.closedDays.length > 0) {
       var latestIdx = -1;
@@ -431,19 +983,115 @@ app.post('/api/admin/lock', function(req, res) {
       });
       config.currentDay = DAY_ORDER[latestIdx];
     }
+    undoNoShows(req.pool, config, day);
+  }
+
+  writeJSON(req.pool.configPath, config);
+  publishLock(req.pool, config);
+  res.json({ ok: true, closedDays: config.closedDays, pickDay: config.pickDay, currentDay: config.currentDay, noShows: noShows });
+});
+
+/* ── POST /admin/no-show ── override what happened to a player who didn't pick before a day locked */
+api.post('/admin/no-show', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var day = req.body.day;
+  var actions = { eliminate: 'eliminated', 'auto-pick': 'auto-picked', excuse: 'excused' };
+  var action = actions[req.body.action];
+  if (!action) {
+    return res.status(400).json({ error: 'Action must be eliminate, auto-pick or excuse.' });
+  }
+
+  var players = readJSON(req.pool.playersPath);
+  var player = players.find(function(p) { return p.id === req.body.playerId; });
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found.' });
+  }
+  if (!player.noShows || !player.noShows[day]) {
+    return res.status(400).json({ error: player.name + ' was not a no-show on ' + day + '.' });
+  }
+  if (player.noShows[day].action === action) {
+    return res.json({ ok: true, noShow: player.noShows[day], picks: player.picks[day] || null });
+  }
+
+  var rs = rules.ruleSet(config);
+  var games = readJSON(req.pool.gamesPath);
+  applyNoShow(player, day, action, config, games, 'admin');
+  rules.replayTournament(config, players, games);
+  if (action !== 'excused') {
+    var ctx = mailContext(req.pool, req);
+    notify.enqueue(req.pool, ctx, player, noShowNotice(ctx, config, rs, player, day));
+  }
+  writeJSON(req.pool.playersPath, players);
+  flushOutbox(req.pool);
+  events.publish(req.pool.id, 'standings');
+  res.json({ ok: true, noShow: player.noShows[day], picks: player.picks[day] || null });
+});
+
+/* ── POST /admin/outcome ── settle split vs. continue for the survivors, or reopen the vote */
+api.post('/admin/outcome', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var players = readJSON(req.pool.playersPath);
+  var error = outcome.decide(config, players, req.body.decision);
+  if (error) return res.status(400).json({ error: error });
+  writeJSON(req.pool.configPath, config);
+  events.publish(req.pool.id, 'standings');
+  res.json({ ok: true, outcome: outcome.summary(config.outcome, players) });
+});
+
+/* ── POST /admin/deadline ── override a day's pick deadline (delays, manual-only days) */
+api.post('/admin/deadline', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var day = req.body.day;
+  var deadline = req.body.deadline; // ISO string, false (auto-lock off) or null (back to first tip-off)
+  if (DAY_ORDER.indexOf(day) === -1) {
+    return res.status(400).json({ error: 'Unknown day: ' + day });
+  }
+  if (typeof deadline === 'string' && isNaN(Date.parse(deadline))) {
+    return res.status(400).json({ error: 'Invalid deadline time.' });
+  }
+
+  if (!config.deadlineOverrides) config.deadlineOverrides = {};
+  if (deadline === null || deadline === undefined) {
+    delete config.deadlineOverrides[day];
+  } else {
+    config.deadlineOverrides[day] = deadline === false ? false : new Date(deadline).toISOString();
   }
+  writeJSON(req.pool.configPath, config);
+  publishLock(req.pool, config);
 
-  writeJSON(CONFIG_PATH, config);
-  res.json({ ok: true, closedDays: config.closedDays, pickDay: config.pickDay, currentDay: config.currentDay });
+  var games = readJSON(req.pool.gamesPath);
+  res.json({ ok: true, deadline: schedule.dayDeadline(config, games, day) });
 });
 
-/* ── POST /api/admin/advance-day ── move to next day */
-app.post('/api/admin/advance-day', function(req, res) {
-  var config = readJSON(CONFIG_PATH);
-  var pin = req.body.pin;
-  if (pin !== config.adminPin) {
-    return res.status(401).json({ error: 'Incorrect PIN.' });
+/* ── POST /admin/rules ── replace the pool's rule set (fees, pick counts, buybacks) */
+api.post('/admin/rules', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  if (!req.body.ruleSet || typeof req.body.ruleSet !== 'object') {
+    return res.status(400).json({ error: 'Missing ruleSet.' });
+  }
+
+  var rs = rules.ruleSet({ ruleSet: req.body.ruleSet });
+  var errors = rules.validateRuleSet(rs);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+
+  config.ruleSet = rs;
+  delete config.buybackDays;
+  writeJSON(req.pool.configPath, config);
+
+  // Fees and buyback limits feed into every player's totals and status
+  var players = readJSON(req.pool.playersPath);
+  if (rules.replayTournament(config, players, readJSON(req.pool.gamesPath))) {
+    writeJSON(req.pool.playersPath, players);
   }
+  events.publish(req.pool.id, 'standings');
+  res.json({ ok: true, ruleSet: rs });
+});
+
+/* ── POST /admin/advance-day ── move to next day */
+api.post('/admin/advance-day', function(req, res) {
+  var config = readJSON(req.pool.configPath);
   var currentIdx = DAY_ORDER.indexOf(config.currentDay);
 
   if (currentIdx < DAY_ORDER.length - 1) {
@@ -453,122 +1101,210 @@ app.post('/api/admin/advance-day', function(req, res) {
     if (pickDayIdx < currentIdx + 1) {
       config.pickDay = config.currentDay;
     }
-    writeJSON(CONFIG_PATH, config);
+    writeJSON(req.pool.configPath, config);
+    publishLock(req.pool, config);
     res.json({ ok: true, currentDay: config.currentDay });
   } else {
     res.status(400).json({ error: 'Already on the last day.' });
   }
 });
 
-/* ── POST /api/admin/games ── update game results for a day */
-app.post('/api/admin/games', function(req, res) {
-  var config = readJSON(CONFIG_PATH);
-  var pin = req.body.pin;
-
-  if (pin !== config.adminPin) {
-    return res.status(401).json({ error: 'Incorrect PIN.' });
-  }
-
+/* ── POST /admin/games ── update game results for a day */
+api.post('/admin/games', function(req, res) {
+  var config = readJSON(req.pool.configPath);
   var day = req.body.day;
   var games = req.body.games;
 
   if (!day || !Array.isArray(games)) {
     return res.status(400).json({ error: 'Provide day and games array.' });
   }
+  var statusErrors = checkGames(games);
+  if (statusErrors.length > 0) {
+    return res.status(400).json({ error: statusErrors.join(' ') });
+  }
+  var registry = readTeams(req.pool);
+  var resolved = settledPlaceholders(registry, games);
+  var resolveErrors = checkPlaceholders(registry, resolved);
+  if (resolveErrors.length > 0) {
+    return res.status(400).json({ error: resolveErrors.join(' ') });
+  }
 
-  var allGames = readJSON(GAMES_PATH);
+  var allGames = readJSON(req.pool.gamesPath);
   allGames[day] = games;
-  writeJSON(GAMES_PATH, allGames);
-
-  // Process player results based on new game outcomes
-  // Collect winners AND all teams from final games (so we know which picks are decided)
-  var dayWinners = [];
-  var decidedTeams = [];
-  for (var i = 0; i < games.length; i++) {
-    if (games[i].final && games[i].winner) {
-      dayWinners.push(games[i].winner);
-      decidedTeams.push(games[i].home);
-      decidedTeams.push(games[i].away);
-    }
+  writeJSON(req.pool.gamesPath, allGames);
+  writeJSON(req.pool.teamsPath, registry);
+
+  // Winners fill the next round's matchups; replay every player so a result
+  // change flows through to later days
+  var losses = [];
+  resolved.forEach(function(r) {
+    var entry = teams.resolve(registry, r.placeholder, r.winner).entry;
+    if (entry) losses = losses.concat(applyTeamChange(req.pool, config, registry, entry));
+  });
+  losses = losses.concat(syncBracketAndReplay(req.pool, config, readJSON(req.pool.gamesPath)));
+
+  // Tell newly knocked-out players, with a buyback link while the window is open
+  var rs = rules.ruleSet(config);
+  var ctx = mailContext(req.pool, req);
+  var players = readJSON(req.pool.playersPath);
+  var queued = 0;
+  losses.forEach(function(loss) {
+    var player = players.find(function(p) { return p.id === loss.player.id; });
+    if (!player || player.status !== 'eliminated') return;
+    var buybackDay = rules.buybackDayAfter(rs, player, loss.day);
+    if (buybackDay && (config.closedDays || []).indexOf(buybackDay) !== -1) buybackDay = null;
+    if (notify.enqueue(req.pool, ctx, player, notify.lossMessage(ctx, player, loss.day, buybackDay, rs))) queued += 1;
+  });
+  if (queued > 0) {
+    writeJSON(req.pool.playersPath, players);
+    flushOutbox(req.pool);
   }
 
-  var players = readJSON(PLAYERS_PATH);
-  var changed = false;
-  for (var j = 0; j < players.length; j++) {
-    var p = players[j];
-    if (!p.picks[day]) continue;
-
-    // Handle "None" picks — automatic loss once all games are final
-    var isNone = p.picks[day].length === 1 && p.picks[day][0] === 'None';
-    if (isNone) {
-      var allFinal = games.length > 0 && games.every(function(g) { return g.final; });
-      var noneResult = allFinal ? 'loss' : 'pending';
-      var noneStatus = allFinal ? 'eliminated' : 'alive';
-      if (p.results[day] !== noneResult) { p.results[day] = noneResult; changed = true; }
-      if (p.status !== noneStatus) { p.status = noneStatus; changed = true; }
-      continue;
-    }
+  res.json({ ok: true });
+});
 
-    // Only evaluate picks whose games are final
-    var decidedPicks = p.picks[day].filter(function(t) { return decidedTeams.indexOf(t) !== -1; });
-    var undecidedPicks = p.picks[day].filter(function(t) { return decidedTeams.indexOf(t) === -1; });
+/* ── POST /admin/bracket ── set up the field: 4 regions, 68 seeded teams */
+api.post('/admin/bracket', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var field = {
+    regions: req.body.regions,
+    teams: (req.body.teams || []).map(function(t) {
+      return { name: String(t.name || '').trim(), seed: parseInt(t.seed, 10), region: t.region };
+    }),
+    firstFourWinners: {},
+    days: {}
+  };
 
-    if (decidedPicks.length === 0) {
-      // No games final yet for this player's picks — keep result as pending
-      if (p.results[day] !== 'pending') {
-        p.results[day] = 'pending';
-        changed = true;
-      }
-      // Player has picks for today so they're active — check if they should be alive
-      // A player with today's picks is alive unless they have a loss on TODAY
-      // (previous-day losses are covered by buyback — they bought back to play today)
-      if (p.status === 'eliminated') { p.status = 'alive'; changed = true; }
-      continue;
-    }
+  var errors = bracket.validateBracket(field);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
 
-    var hasLoss = decidedPicks.some(function(t) { return dayWinners.indexOf(t) === -1; });
-
-    if (hasLoss) {
-      // At least one decided pick lost — eliminated
-      if (p.results[day] !== 'loss') { p.results[day] = 'loss'; changed = true; }
-      if (p.status === 'alive') { p.status = 'eliminated'; changed = true; }
-    } else if (undecidedPicks.length === 0) {
-      // All picks decided and all won
-      if (p.results[day] !== 'win') { p.results[day] = 'win'; changed = true; }
-      // Player won all picks today — they're alive
-      if (p.status === 'eliminated') { p.status = 'alive'; changed = true; }
-    } else {
-      // All decided picks won but some games still pending — keep as pending
-      if (p.results[day] !== 'pending') { p.results[day] = 'pending'; changed = true; }
-      // Player is still in it — no losses today
-      if (p.status === 'eliminated') { p.status = 'alive'; changed = true; }
-    }
+  writeJSON(req.pool.bracketPath, field);
+  var registry = readTeams(req.pool);
+  if (teams.register(registry, field.teams.map(function(t) { return t.name; }))) {
+    writeJSON(req.pool.teamsPath, registry);
+  }
+  syncBracketAndReplay(req.pool, config, readJSON(req.pool.gamesPath));
+  res.json({ ok: true });
+});
+
+/* ── POST /admin/bracket/day ── choose which pool day a bracket game is played on */
+api.post('/admin/bracket/day', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var field = readBracket(req.pool);
+  if (!field) return res.status(400).json({ error: 'No bracket has been set up.' });
+
+  var slot = bracket.bracketSlots(field).find(function(s) { return s.id === req.body.gameId; });
+  if (!slot) return res.status(404).json({ error: 'Bracket game not found.' });
+  var day = req.body.day;
+  if (bracket.ROUND_DAYS[slot.round].indexOf(day) === -1) {
+    return res.status(400).json({ error: slot.round + ' games can only be played on ' + bracket.ROUND_DAYS[slot.round].join(' or ') + '.' });
   }
-  if (changed) {
-    writeJSON(PLAYERS_PATH, players);
+
+  field.days[slot.id] = day;
+  writeJSON(req.pool.bracketPath, field);
+  syncBracketAndReplay(req.pool, config, readJSON(req.pool.gamesPath));
+  res.json({ ok: true });
+});
+
+/* ── POST /admin/bracket/first-four ── record a First Four winner */
+api.post('/admin/bracket/first-four', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var field = readBracket(req.pool);
+  if (!field) return res.status(400).json({ error: 'No bracket has been set up.' });
+
+  var ff = bracket.firstFourSlots(field).find(function(s) { return s.slot === req.body.slot; });
+  if (!ff) return res.status(404).json({ error: 'First Four slot not found.' });
+  var winner = req.body.winner;
+  if (winner !== null && ff.teams.indexOf(winner) === -1) {
+    return res.status(400).json({ error: winner + ' is not in the ' + ff.slot + ' First Four game.' });
   }
 
+  // Picks made on "Team A/Team B" become picks on the winner (see lib/teams.js)
+  var registry = readTeams(req.pool);
+  var placeholder = ff.teams.join('/');
+  var resolvedTo = registry.teams[teams.idOf(registry, placeholder)];
+  if (!winner && resolvedTo) {
+    return res.status(400).json({ error: placeholder + ' was already resolved to ' + resolvedTo.name + ' and picks were moved to it. Rename or merge teams to correct it.' });
+  }
+  var result = winner ? teams.resolve(registry, placeholder, winner) : { entry: null };
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  if (winner) field.firstFourWinners[ff.slot] = winner;
+  else delete field.firstFourWinners[ff.slot];
+  writeJSON(req.pool.bracketPath, field);
+  if (result.entry) applyTeamChange(req.pool, config, registry, result.entry);
+  else syncBracketAndReplay(req.pool, config, readJSON(req.pool.gamesPath));
   res.json({ ok: true });
 });
 
-/* ── POST /api/buyback ── player buys back into the pool */
-app.post('/api/buyback', function(req, res) {
-  var config = readJSON(CONFIG_PATH);
-  var name = req.body.name;
+/* ── GET /admin/teams ── team registry, its change history and unresolved First Four placeholders */
+api.get('/admin/teams', function(req, res) {
+  var registry = readTeams(req.pool);
+  res.json({
+    teams: Object.keys(registry.teams).map(function(id) {
+      return { id: id, name: registry.teams[id].name, aliases: registry.teams[id].aliases };
+    }).sort(function(a, b) { return a.name.localeCompare(b.name); }),
+    history: registry.history.slice().reverse(),
+    placeholders: teams.placeholders(registry, readJSON(req.pool.gamesPath))
+  });
+});
 
-  if (!name) return res.status(400).json({ error: 'Name is required.' });
+/* ── POST /admin/teams/resolve ── settle a First Four placeholder, moving games and picks to the winner */
+api.post('/admin/teams/resolve', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var registry = readTeams(req.pool);
+  var result = teams.resolve(registry, req.body.placeholder, req.body.winner);
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  // Keep the bracket's First Four result in step, if this placeholder came from it
+  var field = readBracket(req.pool);
+  var ff = field && bracket.firstFourSlots(field).find(function(s) {
+    return teams.sameTeam(registry, s.teams.join('/'), req.body.placeholder);
+  });
+  if (ff) {
+    field.firstFourWinners[ff.slot] = ff.teams.find(function(t) { return teams.sameTeam(registry, t, req.body.winner); });
+    writeJSON(req.pool.bracketPath, field);
+  }
 
-  var players = readJSON(PLAYERS_PATH);
-  var player = players.find(function(p) { return p.name.toLowerCase() === name.trim().toLowerCase(); });
+  applyTeamChange(req.pool, config, registry, result.entry);
+  res.json({ ok: true, change: result.entry });
+});
 
-  if (!player) return res.status(404).json({ error: 'Player not found.' });
+/* ── POST /admin/teams/rename ── rename a team, or merge it into another; games and picks follow */
+api.post('/admin/teams/rename', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var registry = readTeams(req.pool);
+  var result = teams.rename(registry, req.body.from, req.body.to);
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  applyTeamChange(req.pool, config, registry, result.entry);
+  res.json({ ok: true, change: result.entry });
+});
+
+/* ── POST /buyback ── player buys back into the pool */
+api.post('/buyback', function(req, res) {
+  runAutoLock(req.pool);
+  var config = readJSON(req.pool.configPath);
+  var token = req.body.token;
+
+  if (!token) return res.status(400).json({ error: 'Entry link is required.' });
+
+  var players = readJSON(req.pool.playersPath);
+  var player = findPlayerByToken(players, token);
+
+  if (!player) return res.status(401).json({ error: 'Entry link not recognized.' });
   if (player.status !== 'eliminated') return res.status(400).json({ error: 'You are not eliminated.' });
   if (player.needsBuyback) return res.status(400).json({ error: 'You already initiated a buyback. Submit your picks to complete it.' });
-  if (player.buybacks >= 3) return res.status(400).json({ error: 'Maximum buybacks (3) reached.' });
+  var rs = rules.ruleSet(config);
+  if (!rules.buybacksEnabled(rs)) return res.status(400).json({ error: 'This pool does not allow buybacks.' });
+  if (player.buybacks >= rs.maxBuybacks) return res.status(400).json({ error: 'Maximum buybacks (' + rs.maxBuybacks + ') reached.' });
+  var unpaid = unpaidError(req.pool, player, rs);
+  if (unpaid) return res.status(403).json({ error: unpaid });
 
   var activePickDay = config.pickDay || config.currentDay;
-  var buybackDays = config.buybackDays || ['friday_r1', 'saturday_r2', 'sunday_r2'];
-  if (buybackDays.indexOf(activePickDay) === -1) {
+  if (rs.buybackDays.indexOf(activePickDay) === -1) {
     return res.status(400).json({ error: 'No buybacks allowed for this round.' });
   }
 
@@ -580,7 +1316,7 @@ app.post('/api/buyback', function(req, res) {
   var currentIdx = DAY_ORDER.indexOf(activePickDay);
   var eliminatedDay = null;
   for (var d = DAY_ORDER.length - 1; d >= 0; d--) {
-    if (player.results[DAY_ORDER[d]] === 'loss') {
+    if (player.results[DAY_ORDER[d]] === 'loss' || player.results[DAY_ORDER[d]] === 'missed') {
       eliminatedDay = DAY_ORDER[d];
       break;
     }
@@ -596,19 +1332,14 @@ app.post('/api/buyback', function(req, res) {
   // Don't change status yet — player stays eliminated until they submit picks
   player.needsBuyback = true;
 
-  writeJSON(PLAYERS_PATH, players);
+  writeJSON(req.pool.playersPath, players);
+  events.publish(req.pool.id, 'standings');
   res.json({ ok: true, buybacks: player.buybacks, totalSpent: player.totalSpent });
 });
 
-/* ── POST /api/admin/edit-picks ── admin edits a player's picks for a specific day */
-app.post('/api/admin/edit-picks', function(req, res) {
-  var config = readJSON(CONFIG_PATH);
-  var pin = req.body.pin;
-
-  if (pin !== config.adminPin) {
-    return res.status(401).json({ error: 'Incorrect PIN.' });
-  }
-
+/* ── POST /admin/edit-picks ── admin edits a player's picks for a specific day */
+api.post('/admin/edit-picks', function(req, res) {
+  var config = readJSON(req.pool.configPath);
   var playerId = req.body.playerId;
   var day = req.body.day;
   var picks = req.body.picks;
@@ -617,136 +1348,457 @@ app.post('/api/admin/edit-picks', function(req, res) {
     return res.status(400).json({ error: 'Missing playerId, day, or picks.' });
   }
 
-  var players = readJSON(PLAYERS_PATH);
+  var players = readJSON(req.pool.playersPath);
   var player = players.find(function(p) { return p.id === playerId; });
   if (!player) {
     return res.status(404).json({ error: 'Player not found.' });
   }
 
+  var registry = readTeams(req.pool);
+  picks = picks.map(function(t) { return t === 'None' ? t : teams.displayName(registry, t); });
+
   // Check for duplicate teams in submission
   var uniquePicks = [];
   for (var i = 0; i < picks.length; i++) {
-    if (uniquePicks.indexOf(picks[i]) === -1) uniquePicks.push(picks[i]);
+    var pickId = teams.idOf(registry, picks[i]);
+    if (uniquePicks.indexOf(pickId) === -1) uniquePicks.push(pickId);
   }
   if (uniquePicks.length !== picks.length) {
     return res.status(400).json({ error: 'Duplicate teams in picks.' });
   }
 
   // Update picks for that day
-  player.picks[day] = picks;
-
-  // Re-evaluate result for that day based on current game data
-  var games = readJSON(GAMES_PATH);
-  var dayGames = games[day] || [];
-  var dayWinners = [];
-  for (var g = 0; g < dayGames.length; g++) {
-    if (dayGames[g].final && dayGames[g].winner) {
-      dayWinners.push(dayGames[g].winner);
-    }
-  }
+  recordPicks(player, day, picks, 'admin');
 
-  if (dayWinners.length > 0) {
-    var allWon = picks.every(function(t) { return dayWinners.indexOf(t) !== -1; });
-    player.results[day] = allWon ? 'win' : 'loss';
-    // Update status based on results across all days
-    var hasLoss = false;
-    Object.values(player.results).forEach(function(r) {
-      if (r === 'loss') hasLoss = true;
-    });
-    player.status = hasLoss ? 'eliminated' : 'alive';
-  } else {
-    player.results[day] = 'pending';
-  }
+  // Re-evaluate this day and every later day from current game data
+  var games = readJSON(req.pool.gamesPath);
+  rules.replayTournament(config, players, games);
 
-  writeJSON(PLAYERS_PATH, players);
+  writeJSON(req.pool.playersPath, players);
+  events.publish(req.pool.id, 'standings');
   res.json({ ok: true, player: player });
 });
 
-/* ── POST /api/admin/delete-player ── remove a player entry */
-app.post('/api/admin/delete-player', function(req, res) {
-  var config = readJSON(CONFIG_PATH);
-  var pin = req.body.pin;
-
-  if (pin !== config.adminPin) {
-    return res.status(401).json({ error: 'Incorrect PIN.' });
-  }
-
+/* ── POST /admin/delete-player ── remove a player entry */
+api.post('/admin/delete-player', function(req, res) {
   var playerId = req.body.playerId;
   if (!playerId) {
     return res.status(400).json({ error: 'Missing playerId.' });
   }
 
-  var players = readJSON(PLAYERS_PATH);
+  var players = readJSON(req.pool.playersPath);
   var before = players.length;
+  var removed = players.find(function(p) { return p.id === playerId; });
   players = players.filter(function(p) { return p.id !== playerId; });
 
   if (players.length === before) {
     return res.status(404).json({ error: 'Player not found.' });
   }
+  journal.snapshot(req.pool, { actor: 'admin', path: req.path, label: 'Before deleting ' + removed.name });
+
+  writeJSON(req.pool.playersPath, players);
+
+  // Money already received stays in the ledger, waiting to be reassigned
+  var payments = readPayments(req.pool);
+  payments.forEach(function(p) { if (p.playerId === playerId) p.playerId = null; });
+  writeJSON(req.pool.paymentsPath, payments);
+  notify.cancelForPlayer(req.pool, playerId);
+  events.publish(req.pool.id, 'standings');
 
-  writeJSON(PLAYERS_PATH, players);
   res.json({ ok: true, remaining: players.length });
 });
 
-/* ── POST /api/admin/import ── bulk import players and/or games data */
-app.post('/api/admin/import', function(req, res) {
-  var config = readJSON(CONFIG_PATH);
-  var pin = req.body.pin;
+/* ── POST /admin/reissue-token ── replace a lost entry token; the old link stops working */
+api.post('/admin/reissue-token', function(req, res) {
+  var playerId = req.body.playerId;
+  var players = readJSON(req.pool.playersPath);
+  var player = players.find(function(p) { return p.id === playerId; });
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found.' });
+  }
+
+  player.entryToken = newEntryToken();
+  writeJSON(req.pool.playersPath, players);
+  res.json({ ok: true, token: player.entryToken });
+});
 
-  if (pin !== config.adminPin) {
-    return res.status(401).json({ error: 'Incorrect PIN.' });
+/* ── GET /admin/ledger ── charges, payments and balance for every entry, plus unmatched payments */
+api.get('/admin/ledger', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var rs = rules.ruleSet(config);
+  var players = readJSON(req.pool.playersPath);
+  var payments = readPayments(req.pool);
+
+  var accounts = players.map(function(p) {
+    var acct = ledger.account(p, payments, rs);
+    acct.blocked = ledger.isBlocked(acct, rs);
+    return acct;
+  });
+  res.json({
+    accounts: accounts,
+    unmatched: payments.filter(function(p) { return p.playerId === null; }),
+    totals: {
+      charged: accounts.reduce(function(sum, a) { return sum + a.charged; }, 0),
+      paid: payments.reduce(function(sum, p) { return sum + p.amount; }, 0),
+      owed: accounts.reduce(function(sum, a) { return sum + a.owed; }, 0)
+    }
+  });
+});
+
+/* ── POST /admin/payments ── record a payment against an entry */
+api.post('/admin/payments', function(req, res) {
+  var players = readJSON(req.pool.playersPath);
+  var player = players.find(function(p) { return p.id === req.body.playerId; });
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found.' });
+  }
+
+  var payment = {
+    id: ledger.newPaymentId(),
+    playerId: player.id,
+    amount: Number(req.body.amount),
+    method: req.body.method || 'cash',
+    date: req.body.date || null,
+    reference: req.body.reference ? String(req.body.reference).trim() : null,
+    note: req.body.note ? String(req.body.note).trim() : null,
+    from: null,
+    source: 'manual'
+  };
+  var errors = ledger.validatePayment(payment);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+  payment.date = payment.date ? new Date(payment.date).toISOString() : new Date().toISOString();
+
+  var payments = readPayments(req.pool);
+  payments.push(payment);
+  writeJSON(req.pool.paymentsPath, payments);
+  res.json({ ok: true, payment: payment });
+});
+
+/* ── POST /admin/payments/assign ── attach an unmatched payment to an entry (or detach with null) */
+api.post('/admin/payments/assign', function(req, res) {
+  var payments = readPayments(req.pool);
+  var payment = payments.find(function(p) { return p.id === req.body.paymentId; });
+  if (!payment) {
+    return res.status(404).json({ error: 'Payment not found.' });
+  }
+  var playerId = req.body.playerId === undefined ? null : req.body.playerId;
+  if (playerId !== null && !readJSON(req.pool.playersPath).some(function(p) { return p.id === playerId; })) {
+    return res.status(404).json({ error: 'Player not found.' });
+  }
+
+  payment.playerId = playerId;
+  writeJSON(req.pool.paymentsPath, payments);
+  res.json({ ok: true, payment: payment });
+});
+
+/* ── POST /admin/payments/delete ── remove a payment recorded by mistake */
+api.post('/admin/payments/delete', function(req, res) {
+  var payments = readPayments(req.pool);
+  var remaining = payments.filter(function(p) { return p.id !== req.body.paymentId; });
+  if (remaining.length === payments.length) {
+    return res.status(404).json({ error: 'Payment not found.' });
+  }
+  writeJSON(req.pool.paymentsPath, remaining);
+  res.json({ ok: true });
+});
+
+/* ── POST /admin/payments/venmo ── import a Venmo statement CSV and match payments to entries */
+api.post('/admin/payments/venmo', function(req, res) {
+  if (typeof req.body.csv !== 'string' || !req.body.csv.trim()) {
+    return res.status(400).json({ error: 'Paste or upload a Venmo statement CSV.' });
+  }
+  var lines = ledger.parseVenmoStatement(req.body.csv);
+  if (!lines) {
+    return res.status(400).json({ error: 'Not a Venmo statement: no ID / Datetime / Amount (total) header row found.' });
+  }
+
+  var players = readJSON(req.pool.playersPath);
+  var payments = readPayments(req.pool);
+  var result = { added: 0, matched: 0, skipped: 0 };
+
+  lines.forEach(function(line) {
+    // Re-importing an overlapping statement must not double-count
+    if (payments.some(function(p) { return p.source === 'venmo' && p.reference === line.reference; })) {
+      result.skipped += 1;
+      return;
+    }
+    var player = ledger.matchPlayer(line, players);
+    payments.push({
+      id: ledger.newPaymentId(),
+      playerId: player ? player.id : null,
+      amount: line.amount,
+      method: 'venmo',
+      date: isNaN(Date.parse(line.date)) ? new Date().toISOString() : new Date(line.date).toISOString(),
+      reference: line.reference,
+      note: line.note || null,
+      from: line.from || null,
+      source: 'venmo'
+    });
+    result.added += 1;
+    if (player) result.matched += 1;
+  });
+
+  writeJSON(req.pool.paymentsPath, payments);
+  res.json({ ok: true, added: result.added, matched: result.matched, unmatched: result.added - result.matched, skipped: result.skipped });
+});
+
+/* ── POST /admin/import/forms ── preview, then import, picks from a Google Forms responses CSV */
+api.post('/admin/import/forms', function(req, res) {
+  if (typeof req.body.csv !== 'string' || !req.body.csv.trim()) {
+    return res.status(400).json({ error: 'Paste or upload the form responses CSV.' });
+  }
+  if (req.body.day && DAY_ORDER.indexOf(req.body.day) === -1) {
+    return res.status(400).json({ error: 'Unknown day: ' + req.body.day });
+  }
+  runAutoLock(req.pool);
+  var config = readJSON(req.pool.configPath);
+  var sheet = forms.read(req.body.csv, { mapping: req.body.mapping || null, day: req.body.day, pickDay: config.pickDay || config.currentDay });
+  if (!sheet) {
+    return res.status(400).json({ error: 'No responses found: the CSV needs a header row and at least one response.' });
+  }
+
+  var problems = [];
+  if (sheet.mapping.name === null && sheet.mapping.email === null) problems.push('Choose the name or email column.');
+  if (!sheet.mapping.picks || sheet.mapping.picks.length === 0) problems.push('Choose the column(s) with picks.');
+  if (sheet.mapping.day === null && !req.body.day) problems.push('Choose the day column, or the day these responses are for.');
+
+  // Rows are applied in order to a working copy, so a later response from the
+  // same person revises an earlier one just as resubmitting the form would
+  var players = readJSON(req.pool.playersPath);
+  var games = readJSON(req.pool.gamesPath);
+  var applied = [];
+  var rows = sheet.rows.map(function(row) {
+    var out = { line: row.line, timestamp: row.timestamp, name: row.name, email: row.email, day: row.day, picks: row.picks, action: null, error: null };
+    if (problems.length > 0) return out;
+    if (!row.day) {
+      out.error = row.dayText ? 'Can\'t tell which day "' + row.dayText + '" is.' : 'No day given.';
+      return out;
+    }
+    var deadline = schedule.dayDeadline(config, games, row.day);
+    if (row.timestamp && deadline && Date.parse(row.timestamp) >= Date.parse(deadline)) {
+      out.error = 'Submitted after the ' + row.day.replace('_', ' ') + ' deadline.';
+      return out;
+    }
+
+    // Form responses carry no entry link: find the entry by email, then by name
+    var email = row.email.toLowerCase();
+    var name = row.name.toLowerCase();
+    var byEmail = email ? players.find(function(p) { return (p.email || '').toLowerCase() === email; }) : null;
+    var byName = name ? players.find(function(p) { return p.name.toLowerCase() === name; }) : null;
+    if (byEmail && byName && byEmail !== byName) {
+      out.error = row.name + ' and ' + row.email + ' belong to different entries.';
+      return out;
+    }
+    var player = byEmail || byName;
+    if (player && !byEmail && email && player.email && player.email.toLowerCase() !== email) {
+      out.error = 'An entry named ' + player.name + ' already exists with a different email.';
+      return out;
+    }
+    if (!player && row.day !== 'thursday_r1') {
+      out.error = 'No entry for ' + (row.name || row.email) + '.';
+      return out;
+    }
+
+    var result = submitPicks(req.pool, config, players, games,
+      { day: row.day, name: row.name, email: row.email, picks: row.picks, token: player ? player.entryToken : null },
+      { by: 'import', at: row.timestamp, onTime: !!(row.timestamp && deadline) });
+    if (result.error) {
+      out.error = result.error;
+      return out;
+    }
+    out.name = result.player.name;
+    out.picks = result.picks;
+    out.action = result.created ? 'new' : result.revising ? 'revised' : 'picks';
+    applied.push(result);
+    return out;
+  });
+
+  var response = {
+    ok: true, committed: false, header: sheet.header, mapping: sheet.mapping, problems: problems, rows: rows,
+    valid: applied.length, invalid: rows.length - applied.length
+  };
+  if (!req.body.commit) return res.json(response);
+  if (problems.length > 0 || applied.length === 0) {
+    return res.status(400).json({ error: problems[0] || 'There are no valid responses to import.' });
   }
 
-  var imported = { players: false, games: false, config: false };
+  rules.replayTournament(config, players, games);
+  var ctx = mailContext(req.pool, req);
+  applied.forEach(function(r) {
+    notify.enqueue(req.pool, ctx, r.player, notify.confirmationMessage(ctx, r.player, r.day, r.picks, r.revising));
+  });
+  writeJSON(req.pool.playersPath, players);
+  res.locals.journal = { label: 'Imported ' + applied.length + ' form response' + (applied.length === 1 ? '' : 's') };
+  flushOutbox(req.pool);
+  applied.forEach(function(r) {
+    if (r.created) events.publish(req.pool.id, 'entry', { name: r.player.name });
+  });
+  events.publish(req.pool.id, 'standings');
+  response.committed = true;
+  res.json(response);
+});
+
+/* ── GET /admin/outbox ── recent notification emails and their delivery status */
+api.get('/admin/outbox', function(req, res) {
+  var outbox = notify.readOutbox(req.pool);
+  var counts = { pending: 0, sent: 0, failed: 0, cancelled: 0 };
+  outbox.forEach(function(m) { counts[m.status] = (counts[m.status] || 0) + 1; });
+  res.json({
+    transport: mailTransport.name,
+    counts: counts,
+    messages: outbox.slice(-50).reverse().map(function(m) {
+      return {
+        id: m.id, kind: m.kind, to: m.to, subject: m.subject, status: m.status,
+        attempts: m.attempts, lastError: m.lastError, createdAt: m.createdAt, sentAt: m.sentAt
+      };
+    })
+  });
+});
+
+/* ── POST /admin/outbox/retry ── requeue failed emails (one by id, or all) */
+api.post('/admin/outbox/retry', function(req, res) {
+  var count = notify.retry(req.pool, req.body.id || null);
+  flushOutbox(req.pool);
+  res.json({ ok: true, requeued: count });
+});
+
+/* ── POST /admin/notifications ── turn a player's emails back on (or off) */
+api.post('/admin/notifications', function(req, res) {
+  var players = readJSON(req.pool.playersPath);
+  var player = players.find(function(p) { return p.id === req.body.playerId; });
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found.' });
+  }
+
+  player.unsubscribed = !req.body.subscribed;
+  writeJSON(req.pool.playersPath, players);
+  if (player.unsubscribed) notify.cancelForPlayer(req.pool, player.id);
+  res.json({ ok: true, unsubscribed: player.unsubscribed });
+});
+
+/* ── POST /admin/import ── bulk import players and/or games data */
+api.post('/admin/import', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var imported = { players: false, games: false, config: false, bracket: false, payments: false, teams: false };
+
+  // Check the bracket before writing anything so a bad import doesn't half-apply
+  if (req.body.bracket && typeof req.body.bracket === 'object') {
+    var bracketErrors = bracket.validateBracket(req.body.bracket);
+    if (bracketErrors.length > 0) {
+      return res.status(400).json({ error: 'Bracket not imported: ' + bracketErrors.join(' ') });
+    }
+  }
+  if (req.body.config && req.body.config.ruleSet) {
+    var ruleErrors = rules.validateRuleSet(rules.ruleSet(req.body.config));
+    if (ruleErrors.length > 0) {
+      return res.status(400).json({ error: 'Config not imported: ' + ruleErrors.join(' ') });
+    }
+  }
+  // Games get the same checks as /admin/games
+  var gameDays = req.body.games && typeof req.body.games === 'object' ? Object.keys(req.body.games) : [];
+  var gameErrors = [];
+  gameDays.forEach(function(day) {
+    if (DAY_ORDER.indexOf(day) === -1) gameErrors.push('Unknown day: ' + day + '.');
+    else if (!Array.isArray(req.body.games[day])) gameErrors.push('Games for ' + day + ' must be a list.');
+    else gameErrors = gameErrors.concat(checkGames(req.body.games[day]));
+  });
+  if (gameErrors.length > 0) {
+    return res.status(400).json({ error: 'Games not imported: ' + gameErrors.join(' ') });
+  }
+
+  // The team registry if provided (replaces it), with every imported team in it
+  var registry = req.body.teams && typeof req.body.teams === 'object' && req.body.teams.teams
+    ? req.body.teams
+    : readTeams(req.pool);
+  imported.teams = registry === req.body.teams;
+  if (!registry.history) registry.history = [];
+  var registered = JSON.stringify(registry);
+  var resolved = [];
+  gameDays.forEach(function(day) { resolved = resolved.concat(settledPlaceholders(registry, req.body.games[day])); });
+  if (req.body.bracket && typeof req.body.bracket === 'object') {
+    teams.register(registry, (req.body.bracket.teams || []).map(function(t) { return t.name; }));
+  }
+  var resolveErrors = checkPlaceholders(registry, resolved);
+  if (resolveErrors.length > 0) {
+    return res.status(400).json({ error: 'Games not imported: ' + resolveErrors.join(' ') });
+  }
+  journal.snapshot(req.pool, { actor: 'admin', path: req.path, label: 'Before import' });
 
   // Import players if provided
   if (req.body.players && Array.isArray(req.body.players)) {
-    writeJSON(PLAYERS_PATH, req.body.players);
+    writeJSON(req.pool.playersPath, req.body.players);
     imported.players = true;
   }
 
   // Import games if provided (merge with existing, don't overwrite other days)
-  if (req.body.games && typeof req.body.games === 'object') {
-    var existingGames = readJSON(GAMES_PATH);
-    Object.keys(req.body.games).forEach(function(day) {
+  if (gameDays.length > 0) {
+    var existingGames = readJSON(req.pool.gamesPath);
+    gameDays.forEach(function(day) {
       existingGames[day] = req.body.games[day];
     });
-    writeJSON(GAMES_PATH, existingGames);
+    writeJSON(req.pool.gamesPath, existingGames);
     imported.games = true;
   }
 
-  // Import config if provided (merge with existing, preserve adminPin)
+  // Import payments if provided (replaces the ledger)
+  if (req.body.payments && Array.isArray(req.body.payments)) {
+    writeJSON(req.pool.paymentsPath, req.body.payments);
+    imported.payments = true;
+  }
+
+  // Import bracket if provided (replaces the field)
+  if (req.body.bracket && typeof req.body.bracket === 'object') {
+    writeJSON(req.pool.bracketPath, req.body.bracket);
+    imported.bracket = true;
+  }
+
+  if (JSON.stringify(registry) !== registered || imported.teams) writeJSON(req.pool.teamsPath, registry);
+
+  // Import config if provided (merge with existing, preserve admin credential)
   if (req.body.config && typeof req.body.config === 'object') {
     var newConfig = Object.assign({}, config, req.body.config);
-    newConfig.adminPin = config.adminPin; // never overwrite PIN from import
-    writeJSON(CONFIG_PATH, newConfig);
+    newConfig.adminAuth = config.adminAuth; // never overwrite credential from import
+    delete newConfig.adminPin;
+    writeJSON(req.pool.configPath, newConfig);
     imported.config = true;
   }
 
+  // Settle First Four placeholders, fill bracket games and replay, as /admin/games does
+  if (imported.games || imported.bracket || imported.teams) {
+    var importedConfig = readJSON(req.pool.configPath);
+    resolved.forEach(function(r) {
+      var entry = teams.resolve(registry, r.placeholder, r.winner).entry;
+      if (entry) applyTeamChange(req.pool, importedConfig, registry, entry);
+    });
+    syncBracketAndReplay(req.pool, importedConfig, readJSON(req.pool.gamesPath));
+  }
+
+  events.publish(req.pool.id, 'standings');
   res.json({ ok: true, imported: imported });
 });
 
-/* ── POST /api/admin/reset ── reset all data for a fresh pool */
-app.post('/api/admin/reset', function(req, res) {
-  var config = readJSON(CONFIG_PATH);
-  var pin = req.body.pin;
-
-  if (pin !== config.adminPin) {
-    return res.status(401).json({ error: 'Incorrect PIN.' });
-  }
+/* ── POST /admin/reset ── reset all data for a fresh pool */
+api.post('/admin/reset', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  journal.snapshot(req.pool, { actor: 'admin', path: req.path, label: 'Before reset' });
 
-  // Reset config: back to thursday_r1, clear closed days, preserve PIN
+  // Reset config: back to thursday_r1, clear closed days, preserve admin credential and rule set
   var freshConfig = {
     currentDay: 'thursday_r1',
     pickDay: 'thursday_r1',
     closedDays: [],
-    adminPin: config.adminPin,
-    buybackDays: ['friday_r1', 'saturday_r2', 'sunday_r2']
+    adminAuth: config.adminAuth,
+    ruleSet: rules.ruleSet(config)
   };
-  writeJSON(CONFIG_PATH, freshConfig);
+  writeJSON(req.pool.configPath, freshConfig);
 
-  // Reset players: empty list
-  writeJSON(PLAYERS_PATH, []);
+  // Reset players: empty list, dropping any emails still queued for them
+  readJSON(req.pool.playersPath).forEach(function(p) { notify.cancelForPlayer(req.pool, p.id); });
+  writeJSON(req.pool.playersPath, []);
+  writeJSON(req.pool.paymentsPath, []);
+  if (store.exists(req.pool.teamsPath)) store.remove(req.pool.teamsPath);
 
   // Reset games: empty (import games via admin console)
   var freshGames = {
@@ -760,35 +1812,156 @@ app.post('/api/admin/reset', function(req, res) {
     saturday_ff: [],
     monday_champ: []
   };
-  writeJSON(GAMES_PATH, freshGames);
+  writeJSON(req.pool.gamesPath, freshGames);
 
+  // New season, new field
+  if (store.exists(req.pool.bracketPath)) store.remove(req.pool.bracketPath);
+
+  events.publish(req.pool.id, 'standings');
   res.json({ ok: true, message: 'Pool has been reset to Thursday Round 1.' });
 });
 
-/* ── POST /api/admin/export ── export all data for backup */
-app.post('/api/admin/export', function(req, res) {
-  var config = readJSON(CONFIG_PATH);
-  var pin = req.body.pin;
+/* ── GET /admin/history ── journal entries newest first, a page at a time (?before=<seq>&limit=) */
+api.get('/admin/history', function(req, res) {
+  var before = parseInt(req.query.before, 10) || null;
+  var limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  res.json({ entries: journal.list(req.pool, before, limit) });
+});
+
+/* ── GET /admin/history/:seq ── one journal entry with its before/after data */
+api.get('/admin/history/:seq', function(req, res) {
+  var entry = journal.entry(req.pool, parseInt(req.params.seq, 10));
+  if (!entry) return res.status(404).json({ error: 'Journal entry not found.' });
+  // The password hash stays on the server, as in /state
+  var config = entry.files['config.json'];
+  var configs = !config ? [] : entry.kind === 'snapshot' ? [config] : [config.before, config.after];
+  configs.forEach(function(c) { if (c && c.adminAuth) c.adminAuth = '(hidden)'; });
+  res.json(entry);
+});
 
-  if (pin !== config.adminPin) {
-    return res.status(401).json({ error: 'Incorrect PIN.' });
+/* ── POST /admin/history/snapshot ── save a copy of the pool's data to restore later */
+api.post('/admin/history/snapshot', function(req, res) {
+  var label = String(req.body.label || '').trim() || 'Snapshot';
+  res.json({ ok: true, entry: journal.snapshot(req.pool, { actor: 'admin', path: req.path, label: label }) });
+});
+
+/* ── POST /admin/history/restore ── put the pool back to how it was after a journal entry or snapshot */
+api.post('/admin/history/restore', function(req, res) {
+  var seq = parseInt(req.body.seq, 10);
+  var result = journal.restore(req.pool, seq);
+  if (result.error) return res.status(404).json({ error: result.error });
+  res.locals.journal = { kind: 'restore', label: 'Restored to #' + seq };
+
+  var config = readJSON(req.pool.configPath);
+  events.publish(req.pool.id, 'games', { games: readJSON(req.pool.gamesPath) });
+  publishLock(req.pool, config);
+  events.publish(req.pool.id, 'standings');
+  res.json({ ok: true, files: result.files });
+});
+
+/* ── POST /admin/pool ── rename this pool or change its season label */
+api.post('/admin/pool', function(req, res) {
+  var fields = {};
+  if (req.body.name !== undefined) {
+    if (!String(req.body.name).trim()) return res.status(400).json({ error: 'Pool name is required.' });
+    fields.name = String(req.body.name).trim();
+  }
+  if (req.body.season !== undefined) {
+    if (!String(req.body.season).trim()) return res.status(400).json({ error: 'Season is required.' });
+    fields.season = String(req.body.season).trim();
+  }
+  if (req.body.timeZone !== undefined) {
+    var zone = String(req.body.timeZone || '').trim();
+    if (zone && !notify.isTimeZone(zone)) {
+      return res.status(400).json({ error: 'Unknown time zone: ' + zone + '. Use a name like America/New_York.' });
+    }
+    fields.timeZone = zone || null;
   }
+  var pool = pools.update(req.pool.id, fields);
+  res.json({ ok: true, pool: pools.summary(pool, pools.defaultId()) });
+});
+
+/* ── POST /admin/create-pool ── start another pool (or next season) with this pool's admin and rules */
+api.post('/admin/create-pool', function(req, res) {
+  var entry = { id: String(req.body.id || '').trim().toLowerCase(), name: req.body.name, season: req.body.season };
+  var errors = pools.validateNewPool(entry);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join(' ') });
+  }
+
+  var config = readJSON(req.pool.configPath);
+  var pool = pools.add(entry);
+  createPoolFiles(pool, config);
 
-  var players = readJSON(PLAYERS_PATH);
-  var games = readJSON(GAMES_PATH);
+  // Starting next season: keep last season read-only and make the new pool the default
+  if (req.body.archiveCurrent) {
+    archivePool(req.pool);
+    if (pools.defaultId() === req.pool.id) pools.setDefault(pool.id);
+  }
+
+  auth.createSession(pool.id, auth.sessionIdFromRequest(req));
+  res.json({ ok: true, pool: pools.summary(pool, pools.defaultId()) });
+});
+
+/* ── POST /admin/archive ── make this pool read-only (or reopen it) */
+api.post('/admin/archive', function(req, res) {
+  if (req.body.archived === false) {
+    pools.update(req.pool.id, { archived: false, archivedAt: null });
+  } else {
+    archivePool(req.pool);
+  }
+  res.json({ ok: true, pool: pools.summary(pools.get(req.pool.id), pools.defaultId()) });
+});
 
-  // Strip adminPin from export
+/* ── POST /admin/export ── export all data for backup */
+api.post('/admin/export', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var players = readJSON(req.pool.playersPath);
+  var games = readJSON(req.pool.gamesPath);
+
+  // Strip admin credential from export
   var safeConfig = Object.assign({}, config);
-  delete safeConfig.adminPin;
+  delete safeConfig.adminAuth;
 
   res.json({
     players: players,
     games: games,
     config: safeConfig,
+    bracket: readBracket(req.pool),
+    payments: readPayments(req.pool),
+    teams: readTeams(req.pool),
     exportedAt: new Date().toISOString()
   });
 });
 
+/* ── GET /admin/spreadsheet/:file ── standings.csv, picks.csv, or both sheets as pool.xlsx */
+api.get('/admin/spreadsheet/:file', function(req, res) {
+  var config = readJSON(req.pool.configPath);
+  var players = readJSON(req.pool.playersPath);
+  var sheets = {
+    standings: spreadsheet.standings(players, readPayments(req.pool), rules.ruleSet(config)),
+    picks: spreadsheet.picks(players)
+  };
+  var name = req.pool.id + '-' + req.params.file;
+
+  if (req.params.file === 'standings.csv' || req.params.file === 'picks.csv') {
+    res.attachment(name);
+    res.type('text/csv');
+    return res.send(csv.stringify(sheets[req.params.file.replace('.csv', '')].rows));
+  }
+  if (req.params.file === 'pool.xlsx') {
+    res.attachment(name);
+    return res.send(xlsx.build([sheets.standings, sheets.picks]));
+  }
+  res.status(404).json({ error: 'Unknown spreadsheet: choose standings.csv, picks.csv or pool.xlsx.' });
+});
+
+/* ── Errors thrown by a route ──
+   Left for the transaction middleware to roll back and answer */
+api.use(function(err, req, res, next) {
+  res.locals.failed = err;
+});
+
 /* ══════════════════════════════
    Static File Serving (AFTER api routes)
 ══════════════════════════════ */
@@ -809,8 +1982,30 @@ app.listen(PORT, function() {
   console.log('Data directory: ' + DATA_DIR);
   console.log('App directory: ' + __dirname);
   console.log('Home directory: ' + os.homedir());
-  // Log whether data files existed or were freshly created
-  console.log('Config exists: ' + fs.existsSync(CONFIG_PATH));
-  console.log('Players exists: ' + fs.existsSync(PLAYERS_PATH));
-  console.log('Games exists: ' + fs.existsSync(GAMES_PATH));
+  console.log('Storage: ' + STORAGE);
+  console.log('Trusted proxies: ' + (TRUST_PROXY || 'none'));
+  console.log('Mail transport: ' + mailTransport.name);
+  console.log('Pools: ' + pools.list().map(function(p) { return p.id + (p.archived ? ' (archived)' : ''); }).join(', '));
 });
+
+// Check pick deadlines even when nobody is hitting the API. A pool whose
+// check fails is rolled back and logged, and the rest still get checked.
+setInterval(function() {
+  try {
+    pools.list().forEach(function(p) {
+      try {
+        var pool = pools.get(p.id);
+        store.transaction(function() {
+          runAutoLock(pool);
+          runReminders(pool);
+          journal.record(pool, { actor: 'system', method: null, path: 'deadline check' });
+        });
+        flushOutbox(pool);
+      } catch (err) {
+        console.error('Deadline check failed for pool ' + p.id + ':', err);
+      }
+    });
+  } catch (err) {
+    console.error('Deadline check failed:', err);
+  }
+}, 30 * 1000);
@@ -0,0 +1,135 @@
+/* ────────────────────────────────
+   Admin authentication
+   The admin password is stored as a salted scrypt hash in config.adminAuth.
+   Logging in issues a random session id in an HttpOnly cookie; sessions live
+   in memory and expire, so a restart just means logging in again. Each pool
+   has its own password, so a session records which pools it is logged in to.
+   Repeated failed logins from one address lock that address out for a while
+   (behind a proxy, set TRUST_PROXY so the address is the visitor's).
+──────────────────────────────── */
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'pool_admin';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const MAX_FAILURES = 5;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+const sessions = new Map(); // id -> { expires, pools: { poolId: true } }
+const failures = new Map(); // address -> { count, first, lockedUntil }
+
+function hashPassword(password) {
+  var salt = crypto.randomBytes(16).toString('hex');
+  var hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return { salt: salt, hash: hash };
+}
+
+function verifyPassword(password, credential) {
+  if (!credential || typeof password !== 'string') return false;
+  var expected = Buffer.from(credential.hash, 'hex');
+  var actual = crypto.scryptSync(password, credential.salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/* ── Sessions ── */
+// Log a browser in to a pool, reusing its current session if it has one
+function createSession(poolId, existingId) {
+  var id = existingId && getSession(existingId) ? existingId : crypto.randomBytes(32).toString('hex');
+  var session = sessions.get(id) || { pools: {} };
+  session.expires = Date.now() + SESSION_TTL_MS;
+  session.pools[poolId] = true;
+  sessions.set(id, session);
+  return id;
+}
+
+// The session, if it exists and (when poolId is given) is logged in to that pool
+function getSession(id, poolId) {
+  if (!id) return null;
+  var session = sessions.get(id);
+  if (!session) return null;
+  if (session.expires <= Date.now()) {
+    sessions.delete(id);
+    return null;
+  }
+  if (poolId && !session.pools[poolId]) return null;
+  return session;
+}
+
+function destroySession(id, poolId) {
+  var session = sessions.get(id);
+  if (!session) return;
+  delete session.pools[poolId];
+  if (Object.keys(session.pools).length === 0) sessions.delete(id);
+}
+
+// Used after a password change so every other browser has to log in to that pool again
+function destroyOtherSessions(keepId, poolId) {
+  Array.from(sessions.keys()).forEach(function(id) {
+    if (id !== keepId) destroySession(id, poolId);
+  });
+}
+
+/* ── Brute-force lockout ── */
+// Milliseconds until this address may try again (0 if not locked out)
+function lockoutRemaining(address) {
+  var f = failures.get(address);
+  if (!f || !f.lockedUntil) return 0;
+  return Math.max(0, f.lockedUntil - Date.now());
+}
+
+function recordFailure(address) {
+  var now = Date.now();
+  var f = failures.get(address);
+  if (!f || now - f.first > FAILURE_WINDOW_MS) {
+    f = { count: 0, first: now, lockedUntil: 0 };
+  }
+  f.count += 1;
+  if (f.count >= MAX_FAILURES) {
+    f.lockedUntil = now + LOCKOUT_MS;
+    f.count = 0;
+    f.first = now;
+  }
+  failures.set(address, f);
+}
+
+function clearFailures(address) {
+  failures.delete(address);
+}
+
+/* ── Cookies ── */
+function sessionIdFromRequest(req) {
+  var header = req.headers.cookie || '';
+  var parts = header.split(';');
+  for (var i = 0; i < parts.length; i++) {
+    var pair = parts[i].trim().split('=');
+    if (pair[0] === SESSION_COOKIE) return decodeURIComponent(pair.slice(1).join('='));
+  }
+  return null;
+}
+
+function sessionCookie(req, id) {
+  var cookie = SESSION_COOKIE + '=' + id + '; HttpOnly; SameSite=Strict; Path=/; Max-Age=' + Math.floor(SESSION_TTL_MS / 1000);
+  if (req.secure) cookie += '; Secure';
+  return cookie;
+}
+
+function clearedSessionCookie() {
+  return SESSION_COOKIE + '=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0';
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH: MIN_PASSWORD_LENGTH,
+  hashPassword: hashPassword,
+  verifyPassword: verifyPassword,
+  createSession: createSession,
+  getSession: getSession,
+  destroySession: destroySession,
+  destroyOtherSessions: destroyOtherSessions,
+  lockoutRemaining: lockoutRemaining,
+  recordFailure: recordFailure,
+  clearFailures: clearFailures,
+  sessionIdFromRequest: sessionIdFromRequest,
+  sessionCookie: sessionCookie,
+  clearedSessionCookie: clearedSessionCookie
+};
@@ -0,0 +1,242 @@
+/* ────────────────────────────────
+   Bracket model
+   bracket.json holds the field: regions (in Final Four pairing order — the
+   first two regions meet, then the last two), 68 teams with seed and region,
+   First Four winners and any admin day assignments.
+
+   Every game in the bracket has a fixed slot id:
+     R64-East-0 … R64-East-7   (1v16, 8v9, 5v12, 4v13, 6v11, 3v14, 7v10, 2v15)
+     R32-East-0 … R32-East-3, S16-East-0/1, E8-East, F4-0, F4-1, CHAMP
+   Two teams sharing a seed in a region are a First Four slot ("East-16");
+   until its winner is recorded the R64 game shows "TeamA/TeamB".
+
+   syncGames() writes each slot whose two teams are known into games.json
+   under its assigned day, so marking games final fills the next round.
+──────────────────────────────── */
+
+const R64_SEEDS = [[1,16],[8,9],[5,12],[4,13],[6,11],[3,14],[7,10],[2,15]];
+
+// Pool days each round can be played on; the pool splits rounds across two days
+const ROUND_DAYS = {
+  R64:   ['thursday_r1', 'friday_r1'],
+  R32:   ['saturday_r2', 'sunday_r2'],
+  S16:   ['thursday_s16', 'friday_s16'],
+  E8:    ['saturday_e8', 'sunday_e8'],
+  F4:    ['saturday_ff'],
+  CHAMP: ['monday_champ']
+};
+
+// Every slot in round order, so feeder games always come before the games they feed
+function bracketSlots(bracket) {
+  var regions = bracket.regions;
+  var slots = [];
+  regions.forEach(function(region, r) {
+    // First two regions default to the first day of each split round
+    var half = r < 2 ? 0 : 1;
+    R64_SEEDS.forEach(function(seeds, i) {
+      slots.push({ id: 'R64-' + region + '-' + i, round: 'R64', region: region, seeds: seeds, defaultDay: ROUND_DAYS.R64[half] });
+    });
+    for (var i = 0; i < 4; i++) {
+      slots.push({ id: 'R32-' + region + '-' + i, round: 'R32', region: region, feeders: ['R64-' + region + '-' + (2 * i), 'R64-' + region + '-' + (2 * i + 1)], defaultDay: ROUND_DAYS.R32[half] });
+    }
+    for (var j = 0; j < 2; j++) {
+      slots.push({ id: 'S16-' + region + '-' + j, round: 'S16', region: region, feeders: ['R32-' + region + '-' + (2 * j), 'R32-' + region + '-' + (2 * j + 1)], defaultDay: ROUND_DAYS.S16[half] });
+    }
+    slots.push({ id: 'E8-' + region, round: 'E8', region: region, feeders: ['S16-' + region + '-0', 'S16-' + region + '-1'], defaultDay: ROUND_DAYS.E8[half] });
+  });
+  // Sort so every region's R64 comes before any R32, and so on
+  var order = Object.keys(ROUND_DAYS);
+  slots.sort(function(a, b) { return order.indexOf(a.round) - order.indexOf(b.round); });
+  slots.push({ id: 'F4-0', round: 'F4', region: null, feeders: ['E8-' + regions[0], 'E8-' + regions[1]], defaultDay: ROUND_DAYS.F4[0] });
+  slots.push({ id: 'F4-1', round: 'F4', region: null, feeders: ['E8-' + regions[2], 'E8-' + regions[3]], defaultDay: ROUND_DAYS.F4[0] });
+  slots.push({ id: 'CHAMP', round: 'CHAMP', region: null, feeders: ['F4-0', 'F4-1'], defaultDay: ROUND_DAYS.CHAMP[0] });
+  return slots;
+}
+
+function slotDay(bracket, slot) {
+  return (bracket.days && bracket.days[slot.id]) || slot.defaultDay;
+}
+
+function teamsAtSeed(bracket, region, seed) {
+  return bracket.teams.filter(function(t) { return t.region === region && t.seed === seed; });
+}
+
+// First Four slots: a region/seed with two teams
+function firstFourSlots(bracket) {
+  var slots = [];
+  bracket.regions.forEach(function(region) {
+    for (var seed = 1; seed <= 16; seed++) {
+      var teams = teamsAtSeed(bracket, region, seed);
+      if (teams.length === 2) {
+        var key = region + '-' + seed;
+        slots.push({
+          slot: key, region: region, seed: seed,
+          teams: teams.map(function(t) { return t.name; }),
+          winner: (bracket.firstFourWinners || {})[key] || null
+        });
+      }
+    }
+  });
+  return slots;
+}
+
+// Team name occupying a seed line: the team, the First Four winner, or the "A/B" placeholder
+function seedTeam(bracket, region, seed) {
+  var teams = teamsAtSeed(bracket, region, seed);
+  if (teams.length === 0) return null;
+  if (teams.length === 1) return teams[0].name;
+  var winner = (bracket.firstFourWinners || {})[region + '-' + seed];
+  return winner || teams[0].name + '/' + teams[1].name;
+}
+
+function seedOf(bracket, name) {
+  var team = bracket.teams.find(function(t) { return t.name === name; });
+  if (team) return team.seed;
+  // First Four placeholder "A/B" carries the seed of either team
+  var first = bracket.teams.find(function(t) { return name && name.indexOf(t.name + '/') === 0; });
+  return first ? first.seed : null;
+}
+
+// Check an admin-submitted field. Returns a list of error messages.
+function validateBracket(bracket) {
+  var errors = [];
+  if (!Array.isArray(bracket.regions) || bracket.regions.length !== 4) {
+    errors.push('Exactly four regions are required.');
+    return errors;
+  }
+  if (!Array.isArray(bracket.teams)) {
+    errors.push('Teams list is required.');
+    return errors;
+  }
+  var names = {};
+  bracket.teams.forEach(function(t) {
+    if (!t.name || bracket.regions.indexOf(t.region) === -1 || !(t.seed >= 1 && t.seed <= 16)) {
+      errors.push('Invalid team entry: ' + JSON.stringify(t));
+    } else if (names[t.name]) {
+      errors.push('Duplicate team: ' + t.name);
+    }
+    names[t.name] = true;
+  });
+  bracket.regions.forEach(function(region) {
+    for (var seed = 1; seed <= 16; seed++) {
+      var n = teamsAtSeed(bracket, region, seed).length;
+      if (n === 0) errors.push(region + ' is missing a ' + seed + ' seed.');
+      if (n > 2) errors.push(region + ' has ' + n + ' teams at the ' + seed + ' seed.');
+    }
+  });
+  if (errors.length === 0 && bracket.teams.length !== 68) {
+    errors.push('Expected 68 teams, got ' + bracket.teams.length + '.');
+  }
+  return errors;
+}
+
+// Fill games.json from the bracket. Keeps scores and results for games whose
+// matchup is unchanged, drops games whose feeder result was undone, and moves
+// games whose day assignment changed. A game entered by hand (no slot) for
+// a slot's matchup on its day, e.g. from an imported slate, becomes that
+// slot's game, keeping its tip-off, scores and result; other hand-entered
+// games are left alone. Mutates games; returns true if anything changed.
+function syncGames(bracket, games) {
+  var before = JSON.stringify(games);
+  var bySlot = {};
+  Object.keys(games).forEach(function(day) {
+    (games[day] || []).forEach(function(g) {
+      if (g.slot) bySlot[g.slot] = { day: day, game: g };
+    });
+  });
+
+  function winnerOf(slotId) {
+    var entry = bySlot[slotId];
+    return entry && entry.game.final && entry.game.winner ? entry.game.winner : null;
+  }
+  function removeFrom(day, slotId) {
+    games[day] = (games[day] || []).filter(function(g) { return g.slot !== slotId; });
+  }
+  // Take a hand-entered game between the two teams off the day, turned to
+  // the bracket's home/away order and given the slot
+  function adopt(day, slot, home, away) {
+    var found = (games[day] || []).find(function(g) {
+      return !g.slot && ((g.home === home && g.away === away) || (g.home === away && g.away === home));
+    });
+    if (!found) return null;
+    games[day] = games[day].filter(function(g) { return g !== found; });
+    var flipped = found.home !== home;
+    return Object.assign({}, found, {
+      id: slot.id, slot: slot.id, round: slot.round, region: slot.region,
+      home: home, away: away, homeSeed: seedOf(bracket, home), awaySeed: seedOf(bracket, away),
+      homeScore: flipped ? found.awayScore : found.homeScore,
+      awayScore: flipped ? found.homeScore : found.awayScore
+    });
+  }
+
+  bracketSlots(bracket).forEach(function(slot) {
+    var home, away;
+    if (slot.seeds) {
+      home = seedTeam(bracket, slot.region, slot.seeds[0]);
+      away = seedTeam(bracket, slot.region, slot.seeds[1]);
+    } else {
+      home = winnerOf(slot.feeders[0]);
+      away = winnerOf(slot.feeders[1]);
+    }
+    var existing = bySlot[slot.id];
+
+    if (!home || !away) {
+      if (existing) {
+        removeFrom(existing.day, slot.id);
+        delete bySlot[slot.id];
+      }
+      return;
+    }
+
+    var day = slotDay(bracket, slot);
+    var game = existing ? existing.game : adopt(day, slot, home, away);
+    if (!game || game.home !== home || game.away !== away) {
+      game = {
+        id: slot.id, slot: slot.id, round: slot.round, region: slot.region,
+        home: home, away: away, homeSeed: seedOf(bracket, home), awaySeed: seedOf(bracket, away),
+        homeScore: null, awayScore: null, winner: null, final: false, status: 'scheduled',
+        tipoff: game ? game.tipoff : null
+      };
+    }
+
+    // Re-adding every slot in order keeps each day's games in bracket order
+    if (existing) removeFrom(existing.day, slot.id);
+    if (!games[day]) games[day] = [];
+    games[day].push(game);
+    bySlot[slot.id] = { day: day, game: game };
+  });
+
+  return JSON.stringify(games) !== before;
+}
+
+// Bracket summary for the frontend: every slot with its day and known teams
+function describe(bracket, games) {
+  var bySlot = {};
+  Object.keys(games).forEach(function(day) {
+    (games[day] || []).forEach(function(g) { if (g.slot) bySlot[g.slot] = g; });
+  });
+  return {
+    regions: bracket.regions,
+    teams: bracket.teams,
+    firstFour: firstFourSlots(bracket),
+    slots: bracketSlots(bracket).map(function(slot) {
+      var g = bySlot[slot.id];
+      return {
+        id: slot.id, round: slot.round, region: slot.region, feeders: slot.feeders || null,
+        day: slotDay(bracket, slot), days: ROUND_DAYS[slot.round],
+        home: g ? g.home : null, away: g ? g.away : null,
+        homeSeed: g ? g.homeSeed : null, awaySeed: g ? g.awaySeed : null,
+        winner: g && g.final ? g.winner : null
+      };
+    })
+  };
+}
+
+module.exports = {
+  ROUND_DAYS: ROUND_DAYS,
+  bracketSlots: bracketSlots,
+  firstFourSlots: firstFourSlots,
+  validateBracket: validateBracket,
+  syncGames: syncGames,
+  describe: describe
+};
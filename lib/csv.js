@@ -0,0 +1,64 @@
+/* ────────────────────────────────
+   CSV
+   Just enough RFC 4180 for spreadsheet exports: quoted fields, doubled
+   quotes, commas and newlines inside quotes, CRLF line endings.
+   Text that a spreadsheet would read as a formula (=, +, -, @, tab or CR
+   first, e.g. a player named "=HYPERLINK(...)") is written with a leading
+   apostrophe so it opens as plain text.
+──────────────────────────────── */
+
+// Parse CSV text into an array of rows (arrays of strings)
+function parse(text) {
+  var rows = [];
+  var row = [];
+  var field = '';
+  var quoted = false;
+  text = String(text || '').replace(/^\uFEFF/, '');
+
+  for (var i = 0; i < text.length; i++) {
+    var c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Drop blank lines
+  return rows.filter(function(r) { return r.some(function(f) { return f.trim() !== ''; }); });
+}
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Turn rows (arrays of strings and numbers) into CSV text
+function stringify(rows) {
+  return rows.map(function(row) {
+    return row.map(function(value) {
+      var field = value === null || value === undefined ? '' : String(value);
+      // Numbers (a negative balance) are safe as they are
+      if (typeof value === 'string' && FORMULA_START.test(field)) field = "'" + field;
+      return /[",\r\n]/.test(field) ? '"' + field.replace(/"/g, '""') + '"' : field;
+    }).join(',');
+  }).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parse: parse,
+  stringify: stringify
+};
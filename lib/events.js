@@ -0,0 +1,59 @@
+/* ────────────────────────────────
+   Live updates
+   Browsers keep a Server-Sent Events stream open per pool (GET /events)
+   and hear about changes as soon as they're saved:
+     games      { games }                            scores, finals or new bracket games
+     standings  {}                                   picks, statuses or entries changed
+     lock       { closedDays, pickDay, currentDay }  a day locked or the pick day moved
+     entry      { name }                             someone new joined
+   Events go out after the storage transaction commits, so a client that
+   refetches /state on an event sees the change. Streams are held by this
+   server process; clients reconnect on their own after a drop and refetch
+   then to catch anything they missed.
+──────────────────────────────── */
+const store = require('./store');
+
+const HEARTBEAT_MS = 25 * 1000;   // keeps proxies from closing an idle stream
+const RECONNECT_MS = 3000;        // how soon browsers retry after a drop
+
+var clients = {}; // pool id → array of open responses
+
+// Hold a request open as an event stream for one pool
+function subscribe(poolId, req, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // don't let nginx-style proxies buffer the stream
+  });
+  res.write('retry: ' + RECONNECT_MS + '\n\n');
+
+  if (!clients[poolId]) clients[poolId] = [];
+  clients[poolId].push(res);
+  req.on('close', function() {
+    clients[poolId] = clients[poolId].filter(function(c) { return c !== res; });
+  });
+}
+
+function publish(poolId, type, data) {
+  store.afterCommit(function() {
+    var frame = 'event: ' + type + '\ndata: ' + JSON.stringify(data || {}) + '\n\n';
+    (clients[poolId] || []).forEach(function(res) { res.write(frame); });
+  });
+}
+
+function connectionCount() {
+  return Object.keys(clients).reduce(function(n, id) { return n + clients[id].length; }, 0);
+}
+
+setInterval(function() {
+  Object.keys(clients).forEach(function(id) {
+    clients[id].forEach(function(res) { res.write(': ping\n\n'); });
+  });
+}, HEARTBEAT_MS).unref();
+
+module.exports = {
+  subscribe: subscribe,
+  publish: publish,
+  connectionCount: connectionCount
+};
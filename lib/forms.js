@@ -0,0 +1,121 @@
+/* ────────────────────────────────
+   Google Forms import
+   Turns a Google Forms responses CSV into pick submissions. The columns
+   are whatever the form's questions were called, so guessMapping() finds
+   them by name and the admin can correct it:
+     { timestamp, name, email, day: column index or null, picks: [indexes] }
+   With no day column (a form per day) every row uses the admin's chosen
+   day. A picks cell may hold several teams ("Duke, Houston" from a
+   checkbox question). Each submission then goes through the same checks
+   as /api/picks; this module only reads the sheet.
+──────────────────────────────── */
+const csv = require('./csv');
+const DAY_ORDER = require('./rules').DAY_ORDER;
+
+// Ways a form might name each weekday and round, normalized (lowercase, no spaces)
+const WEEKDAYS = {
+  thursday: ['thursday', 'thurs', 'thu'],
+  friday: ['friday', 'fri'],
+  saturday: ['saturday', 'sat'],
+  sunday: ['sunday', 'sun'],
+  monday: ['monday', 'mon']
+};
+const ROUNDS = {
+  r1: ['r1', 'round1', 'roundof64', 'firstround', '1stround'],
+  r2: ['r2', 'round2', 'roundof32', 'secondround', '2ndround'],
+  s16: ['s16', 'sweet16', 'sweetsixteen'],
+  e8: ['e8', 'elite8', 'eliteeight'],
+  ff: ['ff', 'f4', 'finalfour'],
+  champ: ['champ', 'championship', 'title']
+};
+
+function squash(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+// Column indexes for each field, guessed from the header row
+function guessMapping(header) {
+  var mapping = { timestamp: null, name: null, email: null, day: null, picks: [] };
+  header.forEach(function(title, i) {
+    var t = String(title).toLowerCase();
+    if (mapping.timestamp === null && /timestamp/.test(t)) mapping.timestamp = i;
+    else if (mapping.email === null && /e-?mail/.test(t)) mapping.email = i;
+    else if (mapping.name === null && /name/.test(t)) mapping.name = i;
+    else if (mapping.day === null && /\bday\b|\bround\b/.test(t)) mapping.day = i;
+    else if (/pick|team|winner/.test(t)) mapping.picks.push(i);
+  });
+  return mapping;
+}
+
+// A mapping from the client, with anything that isn't a column of this sheet dropped
+function cleanMapping(mapping, width) {
+  var column = function(idx) { return Number.isInteger(idx) && idx >= 0 && idx < width ? idx : null; };
+  return {
+    timestamp: column(mapping.timestamp),
+    name: column(mapping.name),
+    email: column(mapping.email),
+    day: column(mapping.day),
+    picks: (Array.isArray(mapping.picks) ? mapping.picks : []).map(column).filter(function(idx, i, all) {
+      return idx !== null && all.indexOf(idx) === i;
+    })
+  };
+}
+
+// Which pool day a form answer like "Thursday (Round of 64)" means, or null.
+// A weekday alone is ambiguous after the first weekend, so it means the open
+// pick day when that falls on the weekday.
+function parseDay(value, pickDay) {
+  var text = squash(value);
+  if (!text) return null;
+  var exact = DAY_ORDER.find(function(d) { return squash(d) === text; });
+  if (exact) return exact;
+
+  var matches = function(words) { return words.some(function(w) { return text.indexOf(w) !== -1; }); };
+  var candidates = DAY_ORDER.filter(function(d) { return matches(WEEKDAYS[d.split('_')[0]]); });
+  var byRound = candidates.filter(function(d) { return matches(ROUNDS[d.split('_')[1]]); });
+  if (byRound.length === 1) return byRound[0];
+  if (candidates.length === 1) return candidates[0];
+  if (candidates.indexOf(pickDay) !== -1) return pickDay;
+  return null;
+}
+
+// Teams in a picks cell; checkbox answers come comma-separated
+function splitPicks(cell) {
+  return String(cell || '').split(/[,;\n]/).map(function(t) { return t.trim(); }).filter(Boolean);
+}
+
+// Parse the CSV into { header, mapping, rows: [{ line, timestamp, name, email, dayText, day, picks }] }.
+// options: { mapping, day (used when there's no day column), pickDay }. Null if there are no rows.
+function read(text, options) {
+  var rows = csv.parse(text);
+  if (rows.length < 2) return null;
+  var header = rows[0];
+  var mapping = options.mapping ? cleanMapping(options.mapping, header.length) : guessMapping(header);
+  var cell = function(row, idx) { return idx === null ? '' : String(row[idx] || '').trim(); };
+
+  return {
+    header: header,
+    mapping: mapping,
+    rows: rows.slice(1).map(function(row, i) {
+      var dayText = cell(row, mapping.day);
+      var picks = [];
+      mapping.picks.forEach(function(idx) { picks = picks.concat(splitPicks(row[idx])); });
+      var stamp = Date.parse(cell(row, mapping.timestamp));
+      return {
+        line: i + 2,
+        timestamp: isNaN(stamp) ? null : new Date(stamp).toISOString(),
+        name: cell(row, mapping.name),
+        email: cell(row, mapping.email),
+        dayText: dayText,
+        day: mapping.day === null ? (options.day || null) : parseDay(dayText, options.pickDay),
+        picks: picks
+      };
+    })
+  };
+}
+
+module.exports = {
+  guessMapping: guessMapping,
+  parseDay: parseDay,
+  read: read
+};
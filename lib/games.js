@@ -0,0 +1,97 @@
+/* ────────────────────────────────
+   Game status
+   Every game carries a status:
+     scheduled    not played yet
+     in_progress  under way; scores may be partial
+     final        over, with a winner (basketball has no ties: a tied
+                  score needs its overtime result)
+     forfeit      awarded to `winner` without being played out
+     postponed    moved to another time; see the pool's game policy
+     cancelled    won't be played
+   `final` stays on the game, true for final and forfeit, so anything that
+   only asks "is there a result?" keeps working. Games saved before there
+   was a status get one from final, the scores and the tip-off.
+   What a postponed, cancelled or forfeited game means for picks on it is
+   the pool's choice (rules.js, gamePolicy).
+──────────────────────────────── */
+const STATUSES = ['scheduled', 'in_progress', 'final', 'forfeit', 'postponed', 'cancelled'];
+
+function hasScore(game) {
+  return game.homeScore !== null && game.homeScore !== undefined && game.homeScore !== '';
+}
+
+function statusOf(game) {
+  if (STATUSES.indexOf(game.status) !== -1) return game.status;
+  if (game.final) return 'final';
+  if (hasScore(game)) return 'in_progress';
+  return 'scheduled';
+}
+
+// Final or forfeit with a winner: picks on it are won or lost
+function hasResult(game) {
+  var status = statusOf(game);
+  return (status === 'final' || status === 'forfeit') && !!game.winner;
+}
+
+// Postponed or cancelled: picks on it follow the pool's game policy
+function isVoid(game) {
+  var status = statusOf(game);
+  return status === 'postponed' || status === 'cancelled';
+}
+
+// A game has started once it's under way, over, or its tip-off time has
+// passed. Postponed and cancelled games haven't, whatever the old tip-off.
+function hasStarted(game, now) {
+  var status = statusOf(game);
+  if (status === 'postponed' || status === 'cancelled') return false;
+  if (status !== 'scheduled') return true;
+  if (hasScore(game)) return true;
+  return !!game.tipoff && Date.parse(game.tipoff) <= (now || Date.now());
+}
+
+function label(game) {
+  return (game.home || 'TBD') + ' vs ' + (game.away || 'TBD');
+}
+
+// Check a game the admin saved. Returns a list of error messages.
+function validate(game) {
+  var errors = [];
+  if (game.status !== undefined && STATUSES.indexOf(game.status) === -1) {
+    errors.push('Unknown status for ' + label(game) + ': ' + game.status + '.');
+    return errors;
+  }
+  var status = statusOf(game);
+  if (status === 'final' && !game.winner) {
+    var tied = hasScore(game) && Number(game.homeScore) === Number(game.awayScore);
+    if (tied) errors.push(label(game) + ' is tied. Enter the score after overtime, or mark the game postponed or cancelled.');
+    else if (!hasScore(game)) errors.push(label(game) + ' is final but has no winner.');
+  }
+  if (status === 'forfeit' && !game.winner) {
+    errors.push('Choose which team ' + label(game) + ' was awarded to.');
+  }
+  return errors;
+}
+
+// Bring a game's status, final flag and winner into line with each other.
+// A final game's winner comes from the score when it isn't given.
+function normalize(game) {
+  var status = statusOf(game);
+  game.status = status;
+  if (status === 'final' && !game.winner && hasScore(game)) {
+    var home = Number(game.homeScore), away = Number(game.awayScore);
+    if (home !== away) game.winner = home > away ? game.home : game.away;
+  }
+  game.final = status === 'final' || status === 'forfeit';
+  if (!game.final) game.winner = null;
+  return game;
+}
+
+module.exports = {
+  STATUSES: STATUSES,
+  statusOf: statusOf,
+  hasResult: hasResult,
+  isVoid: isVoid,
+  hasStarted: hasStarted,
+  validate: validate,
+  normalize: normalize
+};
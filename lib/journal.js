@@ -0,0 +1,274 @@
+/* ────────────────────────────────
+   Change journal
+   An append-only record of every request that changed a pool's data, kept
+   in the pool's journal/ directory:
+     journal/index.json  [{ seq, at, kind ('change' | 'snapshot' | 'restore'),
+                            actor, method, path, label, files, summary }]
+     journal/<seq>.json  the index entry plus the data:
+                           change/restore: files: { name: { before, after } }
+                           snapshot:       files: { name: data }
+   Changes are recorded from store.pendingChanges() inside the request's own
+   transaction, so the journal and the data always land together. Only the
+   files in JOURNALED_FILES count; the outbox is left out since restoring it
+   would resend mail.
+
+   A change keeps only what it touched, not whole copies of the files:
+     { keys, before, after }        an object (config, games by day): the
+                                    changed keys, as they were and are; a
+                                    key missing from a side wasn't there
+     { ids, order, before, after }  a list of records with ids (players,
+                                    payments): the changed records, and the
+                                    old order of ids when it moved
+     { before, after }              anything else, whole (older entries too)
+   Only the newest MAX_ENTRIES entries are kept; older ones are pruned.
+
+   restore() puts the pool back to how it was right after an entry: it
+   starts from the current data and undoes every later change, newest
+   first. Restoring to a snapshot writes the snapshot's copy instead. A
+   restore is journaled like any other change, so it can be undone too.
+   The admin credential is never rolled back.
+──────────────────────────────── */
+const path = require('path');
+const store = require('./store');
+
+const JOURNALED_FILES = ['config.json', 'players.json', 'games.json', 'bracket.json', 'payments.json', 'teams.json'];
+// Entries kept, changes and snapshots alike; a season is a few thousand requests
+const MAX_ENTRIES = 2000;
+
+function indexPath(pool) {
+  return path.join(pool.journalDir, 'index.json');
+}
+
+function entryPath(pool, seq) {
+  return path.join(pool.journalDir, seq + '.json');
+}
+
+function readIndex(pool) {
+  return store.exists(indexPath(pool)) ? store.readJSON(indexPath(pool)) : [];
+}
+
+function parse(text) {
+  return text === null ? null : JSON.parse(text);
+}
+
+// The journaled file a path belongs to in this pool, or null
+function fileName(pool, file) {
+  if (path.dirname(file) !== pool.dir) return null;
+  var name = path.basename(file);
+  return JOURNALED_FILES.indexOf(name) !== -1 ? name : null;
+}
+
+// One line per file saying what changed, for the history list
+function describe(name, before, after) {
+  if (before === null) return name + ' created';
+  if (after === null) return name + ' removed';
+  var label = name.replace('.json', '');
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    var byId = function(list) {
+      var map = {};
+      list.forEach(function(item) { if (item && item.id !== undefined) map[item.id] = item; });
+      return map;
+    };
+    var was = byId(before), now = byId(after);
+    var nameOf = function(item) { return item.name || item.from || item.id; };
+    var parts = [];
+    var added = Object.keys(now).filter(function(id) { return !was[id]; }).map(function(id) { return nameOf(now[id]); });
+    var removed = Object.keys(was).filter(function(id) { return !now[id]; }).map(function(id) { return nameOf(was[id]); });
+    var changed = Object.keys(now).filter(function(id) {
+      return was[id] && JSON.stringify(was[id]) !== JSON.stringify(now[id]);
+    }).map(function(id) { return nameOf(now[id]); });
+    if (added.length) parts.push('added ' + added.join(', '));
+    if (removed.length) parts.push('removed ' + removed.join(', '));
+    if (changed.length) parts.push('changed ' + changed.join(', '));
+    return label + ': ' + (parts.join('; ') || 'reordered');
+  }
+
+  if (before && after && typeof before === 'object' && typeof after === 'object') {
+    var keys = Object.keys(before).concat(Object.keys(after)).filter(function(k, i, all) {
+      return all.indexOf(k) === i && JSON.stringify(before[k]) !== JSON.stringify(after[k]);
+    });
+    // The credential hash isn't something to show, just that it changed
+    if (keys.length === 0) return label + ': rewritten, nothing changed';
+    return label + ': ' + keys.map(function(k) { return k === 'adminAuth' ? 'admin password' : k; }).join(', ');
+  }
+  return label + ' changed';
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Ids of a list of records, or null if it isn't one (missing or repeated ids)
+function idsOf(list) {
+  if (!Array.isArray(list)) return null;
+  var ids = list.map(function(item) { return isObject(item) && item.id !== undefined ? String(item.id) : null; });
+  var unique = ids.every(function(id, i) { return id !== null && ids.indexOf(id) === i; });
+  return unique ? ids : null;
+}
+
+// The part of a file a change touched (see the formats above)
+function diff(before, after) {
+  if (isObject(before) && isObject(after)) {
+    var keys = Object.keys(before).concat(Object.keys(after)).filter(function(k, i, all) {
+      return all.indexOf(k) === i && !same(before[k], after[k]);
+    });
+    var pick = function(data) {
+      var part = {};
+      keys.forEach(function(k) { if (k in data) part[k] = data[k]; });
+      return part;
+    };
+    return { keys: keys, before: pick(before), after: pick(after) };
+  }
+  var beforeIds = idsOf(before), afterIds = idsOf(after);
+  if (beforeIds && afterIds) {
+    var byId = function(list, ids) {
+      var map = {};
+      ids.forEach(function(id, i) { map[id] = list[i]; });
+      return map;
+    };
+    var was = byId(before, beforeIds), now = byId(after, afterIds);
+    var ids = beforeIds.concat(afterIds).filter(function(id, i, all) {
+      return all.indexOf(id) === i && !same(was[id], now[id]);
+    });
+    return {
+      ids: ids,
+      order: same(beforeIds, afterIds) ? null : beforeIds,
+      before: before.filter(function(item, i) { return ids.indexOf(beforeIds[i]) !== -1; }),
+      after: after.filter(function(item, i) { return ids.indexOf(afterIds[i]) !== -1; })
+    };
+  }
+  return { before: before, after: after };
+}
+
+// A file as it was before a change, from how it is after
+function undo(data, change) {
+  if (change.keys) {
+    var was = Object.assign({}, data);
+    change.keys.forEach(function(k) {
+      if (k in change.before) was[k] = change.before[k];
+      else delete was[k];
+    });
+    return was;
+  }
+  if (change.ids) {
+    var items = {};
+    (data || []).forEach(function(item) { items[String(item.id)] = item; });
+    change.ids.forEach(function(id) { delete items[id]; });
+    change.before.forEach(function(item) { items[String(item.id)] = item; });
+    var order = change.order || (data || []).map(function(item) { return String(item.id); });
+    return order.filter(function(id) { return id in items; }).map(function(id) { return items[id]; });
+  }
+  return change.before;
+}
+
+function append(pool, entry, files) {
+  var index = readIndex(pool);
+  entry.seq = index.length > 0 ? index[index.length - 1].seq + 1 : 1;
+  entry.at = new Date().toISOString();
+  store.writeJSON(entryPath(pool, entry.seq), Object.assign({}, entry, { files: files }));
+  index.push(entry);
+  index.splice(0, Math.max(0, index.length - MAX_ENTRIES)).forEach(function(old) {
+    if (store.exists(entryPath(pool, old.seq))) store.remove(entryPath(pool, old.seq));
+  });
+  store.writeJSON(indexPath(pool), index);
+  return entry;
+}
+
+// Journal the open transaction's changes to this pool's files.
+// info: { actor, method, path, kind, label }. Returns the entry, or null if nothing changed.
+function record(pool, info) {
+  var files = {};
+  var names = [];
+  var summary = [];
+  store.pendingChanges().forEach(function(change) {
+    var name = fileName(pool, change.file);
+    if (!name) return;
+    var before = parse(change.before), after = parse(change.after);
+    files[name] = diff(before, after);
+    names.push(name);
+    summary.push(describe(name, before, after));
+  });
+  if (names.length === 0) return null;
+  return append(pool, {
+    kind: info.kind || 'change', actor: info.actor, method: info.method, path: info.path,
+    label: info.label || null, files: names, summary: summary
+  }, files);
+}
+
+// Copy every journaled file as it is now
+function snapshot(pool, info) {
+  var files = {};
+  JOURNALED_FILES.forEach(function(name) {
+    var file = path.join(pool.dir, name);
+    files[name] = store.exists(file) ? store.readJSON(file) : null;
+  });
+  return append(pool, {
+    kind: 'snapshot', actor: info.actor, method: null, path: info.path || null,
+    label: info.label || 'Snapshot',
+    files: JOURNALED_FILES.filter(function(name) { return files[name] !== null; }), summary: []
+  }, files);
+}
+
+// Newest first, a page at a time: entries with seq below `before` (all if not given)
+function list(pool, before, limit) {
+  var index = readIndex(pool).filter(function(e) { return !before || e.seq < before; });
+  return index.reverse().slice(0, limit || 50);
+}
+
+function entry(pool, seq) {
+  var file = entryPath(pool, seq);
+  return store.exists(file) ? store.readJSON(file) : null;
+}
+
+// Put the pool's files back to how they were right after entry seq.
+// Returns { error } or { files: [names written] }.
+function restore(pool, seq) {
+  var target = entry(pool, seq);
+  if (!target) return { error: 'No journal entry #' + seq + '.' };
+
+  var state = {};
+  JOURNALED_FILES.forEach(function(name) {
+    var file = path.join(pool.dir, name);
+    state[name] = store.exists(file) ? store.readJSON(file) : null;
+  });
+  var current = JSON.parse(JSON.stringify(state));
+
+  if (target.kind === 'snapshot') {
+    JOURNALED_FILES.forEach(function(name) {
+      if (name in target.files) state[name] = target.files[name];
+    });
+  } else {
+    readIndex(pool).filter(function(e) { return e.seq > seq && e.kind !== 'snapshot'; }).reverse().forEach(function(later) {
+      var data = entry(pool, later.seq);
+      Object.keys(data.files).forEach(function(name) { state[name] = undo(state[name], data.files[name]); });
+    });
+  }
+
+  // A pool always has a config, and it keeps today's admin password
+  if (!state['config.json']) state['config.json'] = current['config.json'];
+  state['config.json'].adminAuth = current['config.json'].adminAuth;
+
+  var written = [];
+  JOURNALED_FILES.forEach(function(name) {
+    if (JSON.stringify(state[name]) === JSON.stringify(current[name])) return;
+    var file = path.join(pool.dir, name);
+    if (state[name] === null) store.remove(file);
+    else store.writeJSON(file, state[name]);
+    written.push(name);
+  });
+  return { files: written };
+}
+
+module.exports = {
+  JOURNALED_FILES: JOURNALED_FILES,
+  record: record,
+  snapshot: snapshot,
+  list: list,
+  entry: entry,
+  restore: restore
+};
@@ -0,0 +1,141 @@
+/* ────────────────────────────────
+   Payments ledger
+   Charges come from the rules replay: the entry fee on a player's first day
+   and the buyback fee on each day they bought back in, dated from when those
+   picks were submitted. Payments are recorded by the admin or imported from
+   a Venmo statement and live in the pool's payments.json:
+     { id, playerId, amount, method, date, reference, note, from, source }
+   A payment with playerId null is unmatched and waits for the admin.
+──────────────────────────────── */
+const crypto = require('crypto');
+const rules = require('./rules');
+const csv = require('./csv');
+
+const PAYMENT_METHODS = ['venmo', 'cash', 'other'];
+
+function newPaymentId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// What a player has been charged, oldest first
+function chargesFor(player, rs) {
+  var submittedAt = player.submittedAt || {};
+  var firstDay = rules.DAY_ORDER.find(function(d) { return player.picks[d] && player.picks[d].length > 0; });
+  var charges = [{ type: 'entry', day: firstDay || null, amount: rs.entryFee, at: (firstDay && submittedAt[firstDay]) || null }];
+  (player.boughtBackOn || []).forEach(function(day) {
+    charges.push({ type: 'buyback', day: day, amount: rs.buybackFee, at: submittedAt[day] || null });
+  });
+  return charges;
+}
+
+// Charges, payments and balance for one player. Payments settle the oldest
+// charges first; `oldestUnpaid` is the first charge not fully covered.
+function account(player, payments, rs) {
+  var charges = chargesFor(player, rs);
+  var mine = payments.filter(function(p) { return p.playerId === player.id; });
+  var paid = mine.reduce(function(sum, p) { return sum + p.amount; }, 0);
+  var charged = charges.reduce(function(sum, c) { return sum + c.amount; }, 0);
+
+  var remaining = paid;
+  var oldestUnpaid = null;
+  charges.forEach(function(c) {
+    if (oldestUnpaid) return;
+    if (remaining >= c.amount) remaining -= c.amount;
+    else oldestUnpaid = c;
+  });
+
+  return {
+    playerId: player.id,
+    name: player.name,
+    charges: charges,
+    payments: mine,
+    charged: charged,
+    paid: paid,
+    owed: Math.max(0, charged - paid),
+    oldestUnpaid: oldestUnpaid
+  };
+}
+
+// Unpaid past the rule set's grace period? Charges without a timestamp
+// (entries from before the ledger existed) never block.
+function isBlocked(acct, rs, now) {
+  if (rs.unpaidGraceHours === null || rs.unpaidGraceHours === undefined) return false;
+  var c = acct.oldestUnpaid;
+  if (!c || !c.at) return false;
+  return Date.parse(c.at) + rs.unpaidGraceHours * 3600 * 1000 <= (now || Date.now());
+}
+
+// Check an admin-entered payment. Returns a list of error messages.
+function validatePayment(payment) {
+  var errors = [];
+  if (typeof payment.amount !== 'number' || !(payment.amount > 0)) errors.push('Amount must be more than zero.');
+  if (PAYMENT_METHODS.indexOf(payment.method) === -1) errors.push('Method must be one of: ' + PAYMENT_METHODS.join(', ') + '.');
+  if (payment.date && isNaN(Date.parse(payment.date))) errors.push('Invalid payment date.');
+  return errors;
+}
+
+/* ── Venmo statements ── */
+// "+ $1,025.00" → 1025, "- $25.00" → -25
+function parseAmount(value) {
+  var cleaned = String(value || '').replace(/[\s$,]/g, '');
+  var n = parseFloat(cleaned);
+  return isNaN(n) ? null : n;
+}
+
+// Incoming, completed transactions from a Venmo statement CSV. The statement
+// has a few title lines before the real header row, so look for it.
+function parseVenmoStatement(text) {
+  var rows = csv.parse(text);
+  var headerIdx = rows.findIndex(function(r) {
+    return r.indexOf('ID') !== -1 && r.indexOf('Datetime') !== -1 && r.indexOf('Amount (total)') !== -1;
+  });
+  if (headerIdx === -1) return null;
+
+  var header = rows[headerIdx];
+  var col = function(row, name) { return (row[header.indexOf(name)] || '').trim(); };
+  var payments = [];
+  rows.slice(headerIdx + 1).forEach(function(row) {
+    var id = col(row, 'ID');
+    var amount = parseAmount(col(row, 'Amount (total)'));
+    if (!id || amount === null || amount <= 0) return;
+    if (col(row, 'Status') && col(row, 'Status') !== 'Complete') return;
+    payments.push({
+      reference: id,
+      date: col(row, 'Datetime'),
+      from: col(row, 'From'),
+      note: col(row, 'Note'),
+      amount: amount
+    });
+  });
+  return payments;
+}
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Match a statement line to an entry: the sender's name first, then a
+// player name mentioned in the note. Only an unambiguous match counts.
+function matchPlayer(line, players) {
+  var from = normalizeName(line.from);
+  var byName = players.filter(function(p) { return normalizeName(p.name) === from; });
+  if (byName.length === 1) return byName[0];
+
+  var note = ' ' + normalizeName(line.note) + ' ';
+  var inNote = players.filter(function(p) {
+    var n = normalizeName(p.name);
+    return n && note.indexOf(' ' + n + ' ') !== -1;
+  });
+  return inNote.length === 1 ? inNote[0] : null;
+}
+
+module.exports = {
+  PAYMENT_METHODS: PAYMENT_METHODS,
+  newPaymentId: newPaymentId,
+  chargesFor: chargesFor,
+  account: account,
+  isBlocked: isBlocked,
+  validatePayment: validatePayment,
+  parseVenmoStatement: parseVenmoStatement,
+  matchPlayer: matchPlayer
+};
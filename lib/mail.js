@@ -0,0 +1,196 @@
+/* ────────────────────────────────
+   Mail transports
+   A transport is { name, send(message, done) } where message is
+   { from, to, subject, text, headers } and done(err) is called once.
+     - smtp: a small SMTP client (EHLO, STARTTLS, AUTH PLAIN, one message per
+       connection). Works against a real relay or a local test mail server.
+     - log:  prints messages to the console; the default when SMTP_HOST isn't set
+   Configure with SMTP_HOST, SMTP_PORT, SMTP_SECURE=true (TLS from the start),
+   SMTP_USER, SMTP_PASS and MAIL_FROM.
+──────────────────────────────── */
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+const SOCKET_TIMEOUT_MS = 30 * 1000;
+
+// RFC 2047 encoded-word for non-ASCII header values
+function encodeHeader(value) {
+  value = String(value);
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+  return '=?UTF-8?B?' + Buffer.from(value, 'utf-8').toString('base64') + '?=';
+}
+
+// Full RFC 5322 message; the body goes out as base64 so any text is safe
+function formatMessage(message) {
+  var domain = String(message.from).replace(/^.*@/, '').replace(/>.*$/, '') || os.hostname();
+  var headers = [
+    'From: ' + message.from,
+    'To: ' + message.to,
+    'Subject: ' + encodeHeader(message.subject),
+    'Date: ' + new Date().toUTCString(),
+    'Message-ID: <' + crypto.randomBytes(12).toString('hex') + '@' + domain + '>',
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64'
+  ];
+  Object.keys(message.headers || {}).forEach(function(name) {
+    headers.push(name + ': ' + message.headers[name]);
+  });
+  var body = Buffer.from(message.text, 'utf-8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  return headers.join('\r\n') + '\r\n\r\n' + body;
+}
+
+// Bare address out of "Name <addr>"
+function address(value) {
+  var m = String(value).match(/<([^>]+)>/);
+  return m ? m[1] : String(value).trim();
+}
+
+function smtpTransport(options) {
+  function send(message, done) {
+    var finished = false;
+    var socket;
+    var buffer = '';
+    var pending = null; // { expect, next } for the reply we're waiting on
+    var upgraded = false;
+
+    function finish(err) {
+      if (finished) return;
+      finished = true;
+      if (socket) socket.destroy();
+      done(err || null);
+    }
+
+    // Wait for one complete (possibly multi-line) reply with the expected code
+    function expect(codes, next) {
+      pending = { codes: codes, next: next };
+    }
+
+    function onData(chunk) {
+      buffer += chunk.toString('utf-8');
+      var lines = buffer.split('\r\n');
+      buffer = lines.pop();
+      var reply = [];
+      lines.forEach(function(line) {
+        reply.push(line);
+        // "250-..." continues, "250 ..." ends the reply
+        if (/^\d{3}(?: |$)/.test(line)) {
+          var code = parseInt(line.slice(0, 3), 10);
+          var text = reply.join('\n');
+          reply = [];
+          if (!pending) return;
+          var p = pending;
+          pending = null;
+          if (p.codes.indexOf(code) === -1) return finish(new Error('SMTP ' + text));
+          p.next(text);
+        }
+      });
+      if (reply.length > 0) buffer = reply.join('\r\n') + '\r\n' + buffer;
+    }
+
+    function write(line) {
+      socket.write(line + '\r\n');
+    }
+
+    function attach(s) {
+      socket = s;
+      socket.setTimeout(SOCKET_TIMEOUT_MS, function() { finish(new Error('SMTP timed out')); });
+      socket.on('data', onData);
+      socket.on('error', finish);
+      socket.on('close', function() { finish(new Error('SMTP connection closed early')); });
+    }
+
+    function ehlo() {
+      write('EHLO ' + (options.clientName || os.hostname()));
+      expect([250], function(reply) {
+        if (!options.secure && !upgraded && /STARTTLS/i.test(reply)) return startTls();
+        authenticate();
+      });
+    }
+
+    function startTls() {
+      write('STARTTLS');
+      expect([220], function() {
+        var plain = socket;
+        plain.removeAllListeners('data');
+        plain.removeAllListeners('close');
+        plain.removeAllListeners('error');
+        plain.setTimeout(0);
+        upgraded = true;
+        attach(tls.connect({ socket: plain, servername: options.host, rejectUnauthorized: options.rejectUnauthorized !== false }));
+        ehlo();
+      });
+    }
+
+    function authenticate() {
+      if (!options.user) return mailFrom();
+      var token = Buffer.from('\u0000' + options.user + '\u0000' + (options.pass || ''), 'utf-8').toString('base64');
+      write('AUTH PLAIN ' + token);
+      expect([235], mailFrom);
+    }
+
+    function mailFrom() {
+      write('MAIL FROM:<' + address(message.from) + '>');
+      expect([250], function() {
+        write('RCPT TO:<' + address(message.to) + '>');
+        expect([250, 251], data);
+      });
+    }
+
+    function data() {
+      write('DATA');
+      expect([354], function() {
+        // Dot-stuff lines that start with "." per RFC 5321
+        var body = formatMessage(message).replace(/\r\n\./g, '\r\n..');
+        socket.write(body + (body.slice(-2) === '\r\n' ? '' : '\r\n') + '.\r\n');
+        expect([250], function() {
+          write('QUIT');
+          finished = true;
+          socket.end();
+          done(null);
+        });
+      });
+    }
+
+    var connect = options.secure
+      ? function(cb) { return tls.connect({ host: options.host, port: options.port, servername: options.host, rejectUnauthorized: options.rejectUnauthorized !== false }, cb); }
+      : function(cb) { return net.connect({ host: options.host, port: options.port }, cb); };
+    attach(connect(function() {}));
+    expect([220], ehlo);
+  }
+
+  return { name: 'smtp', send: send };
+}
+
+function logTransport() {
+  return {
+    name: 'log',
+    send: function(message, done) {
+      console.log('[mail] To: ' + message.to + ' | ' + message.subject + '\n' + message.text);
+      done(null);
+    }
+  };
+}
+
+// Transport and sender address from the environment
+function transportFromEnv(env) {
+  if (!env.SMTP_HOST) return logTransport();
+  var secure = env.SMTP_SECURE === 'true';
+  return smtpTransport({
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT, 10) || (secure ? 465 : 587),
+    secure: secure,
+    user: env.SMTP_USER || null,
+    pass: env.SMTP_PASS || null,
+    rejectUnauthorized: env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false'
+  });
+}
+
+module.exports = {
+  formatMessage: formatMessage,
+  smtpTransport: smtpTransport,
+  logTransport: logTransport,
+  transportFromEnv: transportFromEnv
+};
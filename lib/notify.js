@@ -0,0 +1,262 @@
+/* ────────────────────────────────
+   Notifications
+   Emails are never sent inline with a request. Routes enqueue messages into
+   the pool's outbox.json and flush() delivers them through the mail
+   transport, retrying failures with backoff:
+     { id, kind, playerId, to, subject, text, unsubscribeUrl, dedupeKey,
+       status ('pending' | 'sent' | 'failed' | 'cancelled'), attempts,
+       nextAttemptAt, lastError, createdAt, sentAt }
+   A dedupeKey (e.g. "reminder:friday_r1:<playerId>") keeps the same notice
+   from being queued twice. Players who unsubscribe get nothing further.
+──────────────────────────────── */
+const crypto = require('crypto');
+const rules = require('./rules');
+const store = require('./store');
+
+// Wait after each failed attempt; after the last one the message is marked failed
+const RETRY_DELAYS_MS = [60 * 1000, 5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+const MAX_ATTEMPTS = RETRY_DELAYS_MS.length + 1;
+
+const DAY_NAMES = {
+  thursday_r1: 'Thursday (Round of 64)', friday_r1: 'Friday (Round of 64)',
+  saturday_r2: 'Saturday (Round of 32)', sunday_r2: 'Sunday (Round of 32)',
+  thursday_s16: 'Thursday (Sweet 16)', friday_s16: 'Friday (Sweet 16)',
+  saturday_e8: 'Saturday (Elite 8)', sunday_e8: 'Sunday (Elite 8)',
+  saturday_ff: 'Saturday (Final Four)', monday_champ: 'Monday (Championship)'
+};
+
+// Is this a time zone Intl knows, like "America/Chicago"?
+function isTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: name });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// A deadline as the site shows it ("Thu, Mar 19, 12:15 PM EDT"), in the pool's time zone
+function formatTime(iso, timeZone) {
+  return new Date(iso).toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short',
+    timeZone: timeZone
+  });
+}
+
+function readOutbox(pool) {
+  return store.exists(pool.outboxPath) ? store.readJSON(pool.outboxPath) : [];
+}
+
+function writeOutbox(pool, outbox) {
+  store.writeJSON(pool.outboxPath, outbox);
+}
+
+/* ── Links ── */
+function entryUrl(ctx, token) {
+  return ctx.baseUrl + '/?pool=' + encodeURIComponent(ctx.poolId) + '&entry=' + token;
+}
+
+function unsubscribeUrl(ctx, player) {
+  return ctx.baseUrl + '/api/pools/' + encodeURIComponent(ctx.poolId) + '/unsubscribe?token=' + player.unsubscribeToken;
+}
+
+// Email address to notify, or null if the player has none or opted out.
+// Gives the player an unsubscribe token the first time; callers save players.
+function recipient(player) {
+  if (!player.email || player.unsubscribed) return null;
+  if (!player.unsubscribeToken) player.unsubscribeToken = crypto.randomBytes(16).toString('hex');
+  return player.email;
+}
+
+function footer(ctx, player) {
+  return '\n\n— ' + ctx.poolName + '\n' +
+    'Stop these emails: ' + unsubscribeUrl(ctx, player) + '\n';
+}
+
+/* ── Messages ── */
+// revised: the player changed picks they'd already made for the day
+function confirmationMessage(ctx, player, day, picks, revised) {
+  var lines = rules.isNonePick(picks)
+    ? 'You had no eligible teams left, so this day counts as a loss once every game is final.'
+    : 'Your picks: ' + picks.join(', ');
+  var text = 'Hi ' + player.name + ',\n\n' +
+    'Your picks for ' + DAY_NAMES[day] + (revised ? ' have been changed.\n' : ' are locked in.\n') + lines + '\n' +
+    'You can change them until the day locks.\n\n' +
+    'Your entry link (keep it private — it is how you pick from any device):\n' + entryUrl(ctx, player.entryToken);
+  return {
+    kind: 'confirmation', dedupeKey: null,
+    subject: ctx.poolName + ': picks ' + (revised ? 'changed' : 'locked in') + ' for ' + DAY_NAMES[day],
+    text: text
+  };
+}
+
+function reminderMessage(ctx, player, day, deadline) {
+  var text = 'Hi ' + player.name + ',\n\n' +
+    'You haven\'t made your ' + DAY_NAMES[day] + ' picks yet. Picks lock at ' +
+    formatTime(deadline, ctx.timeZone) + '.\n\n' +
+    'Pick now: ' + entryUrl(ctx, player.entryToken);
+  return {
+    kind: 'reminder', dedupeKey: 'reminder:' + day + ':' + player.id,
+    subject: ctx.poolName + ': ' + DAY_NAMES[day] + ' picks are due soon',
+    text: text
+  };
+}
+
+// buybackDay is the day they can buy back in on, or null if they can't
+function lossMessage(ctx, player, day, buybackDay, rs) {
+  var text = 'Hi ' + player.name + ',\n\n' +
+    'Bad news — one of your ' + DAY_NAMES[day] + ' picks lost, so you\'ve been knocked out.\n\n';
+  if (buybackDay) {
+    var n = rules.requiredPicks(rs, buybackDay, true);
+    text += 'You can buy back in for $' + rs.buybackFee + ' and pick ' + n + ' winner' + (n === 1 ? '' : 's') +
+      ' on ' + DAY_NAMES[buybackDay] + '. Buy back before picks lock:\n' + entryUrl(ctx, player.entryToken);
+  } else {
+    text += 'Thanks for playing!';
+  }
+  return {
+    kind: 'loss', dedupeKey: 'loss:' + day + ':' + player.id,
+    subject: ctx.poolName + ': knocked out on ' + DAY_NAMES[day],
+    text: text
+  };
+}
+
+// A player who hadn't picked when the day locked (see findNoShows in lib/rules.js).
+// picks are the fallback picks made for them, or null if they were eliminated.
+function noShowMessage(ctx, player, day, picks, buybackDay, rs) {
+  var text = 'Hi ' + player.name + ',\n\n' +
+    DAY_NAMES[day] + ' locked before you made your picks.\n';
+  if (picks) {
+    text += rules.isNonePick(picks)
+      ? 'You had no eligible teams left, so you were entered with None, which counts as a loss once every game is final.\n'
+      : 'Under the pool rules you were given the best-seeded teams you hadn\'t used: ' + picks.join(', ') + '\n';
+  } else {
+    text += 'Under the pool rules that knocks you out.\n';
+    if (buybackDay) {
+      var n = rules.requiredPicks(rs, buybackDay, true);
+      text += '\nYou can buy back in for $' + rs.buybackFee + ' and pick ' + n + ' winner' + (n === 1 ? '' : 's') +
+        ' on ' + DAY_NAMES[buybackDay] + '. Buy back before picks lock:\n' + entryUrl(ctx, player.entryToken) + '\n';
+    }
+  }
+  text += '\nIf you think this is a mistake, contact the pool admin.';
+  return {
+    kind: 'no-show', dedupeKey: 'no-show:' + day + ':' + player.id + (picks ? ':auto-picked' : ':eliminated'),
+    subject: ctx.poolName + ': ' + (picks ? 'picks made for you' : 'missed the deadline') + ' for ' + DAY_NAMES[day],
+    text: text
+  };
+}
+
+/* ── Outbox ── */
+// Queue a message for a player. Returns false if skipped (opted out, no
+// address, or an identical notice is already queued or sent).
+function enqueue(pool, ctx, player, message) {
+  var to = recipient(player);
+  if (!to) return false;
+  var outbox = readOutbox(pool);
+  if (message.dedupeKey && outbox.some(function(m) { return m.dedupeKey === message.dedupeKey; })) return false;
+
+  var now = new Date().toISOString();
+  outbox.push({
+    id: crypto.randomBytes(8).toString('hex'),
+    kind: message.kind,
+    playerId: player.id,
+    to: to,
+    subject: message.subject,
+    text: message.text + footer(ctx, player),
+    unsubscribeUrl: unsubscribeUrl(ctx, player),
+    dedupeKey: message.dedupeKey,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+    sentAt: null
+  });
+  writeOutbox(pool, outbox);
+  return true;
+}
+
+// Apply a change to one outbox message, re-reading the file so messages
+// queued while a send was in flight aren't lost
+function updateMessage(pool, id, fields) {
+  store.transaction(function() {
+    var outbox = readOutbox(pool);
+    var msg = outbox.find(function(m) { return m.id === id; });
+    if (!msg) return;
+    Object.assign(msg, fields);
+    writeOutbox(pool, outbox);
+  });
+}
+
+// Deliver every due message, one at a time. done() runs when the pass ends.
+function flush(pool, transport, from, done) {
+  var now = Date.now();
+  var due = readOutbox(pool).filter(function(m) {
+    return m.status === 'pending' && Date.parse(m.nextAttemptAt) <= now;
+  });
+
+  (function next(i) {
+    if (i >= due.length) return done && done();
+    var msg = due[i];
+    transport.send({
+      from: from,
+      to: msg.to,
+      subject: msg.subject,
+      text: msg.text,
+      headers: msg.unsubscribeUrl ? { 'List-Unsubscribe': '<' + msg.unsubscribeUrl + '>' } : {}
+    }, function(err) {
+      var attempts = msg.attempts + 1;
+      if (!err) {
+        updateMessage(pool, msg.id, { status: 'sent', attempts: attempts, sentAt: new Date().toISOString(), lastError: null });
+      } else if (attempts >= MAX_ATTEMPTS) {
+        updateMessage(pool, msg.id, { status: 'failed', attempts: attempts, lastError: err.message });
+      } else {
+        updateMessage(pool, msg.id, {
+          attempts: attempts,
+          lastError: err.message,
+          nextAttemptAt: new Date(Date.now() + RETRY_DELAYS_MS[attempts - 1]).toISOString()
+        });
+      }
+      next(i + 1);
+    });
+  })(0);
+}
+
+// Drop anything still queued for a player who just unsubscribed
+function cancelForPlayer(pool, playerId) {
+  var outbox = readOutbox(pool);
+  outbox.forEach(function(m) {
+    if (m.playerId === playerId && m.status === 'pending') m.status = 'cancelled';
+  });
+  writeOutbox(pool, outbox);
+}
+
+// Put failed messages (or one of them) back in the queue for another round of attempts
+function retry(pool, id) {
+  var outbox = readOutbox(pool);
+  var count = 0;
+  outbox.forEach(function(m) {
+    if (m.status !== 'failed' || (id && m.id !== id)) return;
+    m.status = 'pending';
+    m.attempts = 0;
+    m.nextAttemptAt = new Date().toISOString();
+    count += 1;
+  });
+  writeOutbox(pool, outbox);
+  return count;
+}
+
+module.exports = {
+  DAY_NAMES: DAY_NAMES,
+  isTimeZone: isTimeZone,
+  formatTime: formatTime,
+  readOutbox: readOutbox,
+  recipient: recipient,
+  confirmationMessage: confirmationMessage,
+  reminderMessage: reminderMessage,
+  lossMessage: lossMessage,
+  noShowMessage: noShowMessage,
+  enqueue: enqueue,
+  flush: flush,
+  cancelForPlayer: cancelForPlayer,
+  retry: retry
+};
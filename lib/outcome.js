@@ -0,0 +1,259 @@
+/* ────────────────────────────────
+   Pool outcome
+   Decides when a pool is over and who gets paid. The pool ends when:
+     - one player is left standing (they win outright), once nobody
+       knocked out can still buy back in
+     - the championship is final with several players still alive
+     - nobody alive has a team left for the next day
+     - everyone alive is forced into the same pick(s), so nobody can pull ahead
+   In the last three cases the survivors are co-champions. If there are days
+   left to play they may instead agree to keep going: each survivor votes
+   split or continue, and the pot is split only if they all vote to split.
+   The admin can decide either way at any time. Stored as config.outcome:
+     { key, status ('won' | 'deciding' | 'split' | 'continued'), reason,
+       message, day, survivors: [ids], votes: { id: choice }, decidedBy,
+       decidedAt, champions: [ids], pot, payouts: [{ playerId, name, share }] }
+   key identifies the situation (day, reason, survivors). Once survivors
+   continue past one, it won't be raised again; a new situation replaces it.
+──────────────────────────────── */
+const rules = require('./rules');
+const teams = require('./teams');
+
+const DAY_ORDER = rules.DAY_ORDER;
+
+const CHOICES = ['split', 'continue'];
+
+// Teams on each day's slate
+function slateTeams(games) {
+  var byDay = {};
+  Object.keys(games).forEach(function(day) {
+    var names = [];
+    (games[day] || []).forEach(function(g) {
+      if (g.home && names.indexOf(g.home) === -1) names.push(g.home);
+      if (g.away && names.indexOf(g.away) === -1) names.push(g.away);
+    });
+    byDay[day] = names.sort();
+  });
+  return byDay;
+}
+
+// A player's teams from names that they haven't used, matched by canonical
+// id (see lib/teams.js) so a pick saved under an alias counts
+function unusedTeams(player, names, registry) {
+  var used = {};
+  Object.keys(player.picks || {}).forEach(function(day) {
+    player.picks[day].forEach(function(t) { used[teams.idOf(registry, t)] = true; });
+  });
+  return names.filter(function(t) { return !used[teams.idOf(registry, t)]; });
+}
+
+// Can a knocked-out player still buy back in? Their buyback day (the day
+// after their last loss) hasn't closed yet.
+function buybackOpen(player, config, rs) {
+  if (player.status !== 'eliminated') return false;
+  var lossDay = DAY_ORDER.slice().reverse().find(function(day) {
+    var result = (player.results || {})[day];
+    return result === 'loss' || result === 'missed';
+  });
+  var buybackDay = lossDay && rules.buybackDayAfter(rs, player, lossDay);
+  return !!buybackDay && (config.closedDays || []).indexOf(buybackDay) === -1;
+}
+
+// How the pool ended, or null if it's still going:
+// { reason, message, day, survivors: [players] }. registry is the pool's
+// team registry (lib/teams.js), for matching picks to the slate.
+function detect(players, config, games, rs, registry) {
+  registry = registry || teams.empty();
+  var alive = players.filter(function(p) { return p.status === 'alive'; });
+  if (alive.length === 0) return null;
+  var pickDay = config.pickDay || config.currentDay;
+  // A lone entry hasn't beaten anyone yet, and hasn't won while someone
+  // can still buy back in
+  if (alive.length === 1 && alive.length < players.length) {
+    if (players.some(function(p) { return buybackOpen(p, config, rs); })) return null;
+    return { reason: 'last-standing', message: 'Last player standing!', day: config.currentDay, survivors: alive };
+  }
+  // Forced-pick and out-of-teams checks look at the day being picked, once
+  // every earlier pick is locked. Locking moves pickDay on to the next day,
+  // except on the last day, which stays closed.
+  var closedDays = config.closedDays || [];
+  var pickIdx = DAY_ORDER.indexOf(pickDay);
+  var nextDay;
+  if (closedDays.indexOf(pickDay) !== -1) {
+    nextDay = DAY_ORDER[pickIdx + 1] || null;
+  } else {
+    if (pickIdx < 1 || closedDays.indexOf(DAY_ORDER[pickIdx - 1]) === -1) return null;
+    nextDay = pickDay;
+  }
+
+  var slate = slateTeams(games);
+  if (!nextDay) {
+    var lastGames = games[pickDay] || [];
+    if (lastGames.length > 0 && lastGames.every(function(g) { return rules.gameSettled(g, rs); }) &&
+        alive.every(function(p) { return p.results[pickDay] && p.results[pickDay] !== 'pending'; })) {
+      return { reason: 'tournament-over', message: 'The tournament is over with ' + alive.length + ' players still standing.', day: pickDay, survivors: alive };
+    }
+    var current = slate[pickDay] || [];
+    if (current.length > 0 && alive.every(function(p) { return unusedTeams(p, current, registry).length === 0; })) {
+      return { reason: 'no-teams', message: 'No teams left for any remaining player.', day: pickDay, survivors: alive };
+    }
+    return null;
+  }
+
+  var nextTeams = slate[nextDay] || [];
+  if (nextTeams.length === 0) return null;
+  var available = alive.map(function(p) { return unusedTeams(p, nextTeams, registry); });
+  if (available.every(function(a) { return a.length === 0; })) {
+    return { reason: 'no-teams', message: 'No teams left for any remaining player.', day: nextDay, survivors: alive };
+  }
+  // Everyone has exactly the teams they need left, and they're the same teams
+  var needed = rs.picksPerDay[nextDay] || 1;
+  var first = available[0].join(',');
+  if (available.every(function(a) { return a.length === needed && a.join(',') === first; })) {
+    return {
+      reason: 'forced-pick',
+      message: 'All remaining players must pick ' + available[0].join(' & ') + '. Same outcome for everyone.',
+      day: nextDay, survivors: alive
+    };
+  }
+  return null;
+}
+
+// Even shares of the pot, to the cent; leftover cents go to the first champions
+function payouts(champions, pot) {
+  if (champions.length === 0) return [];
+  var cents = Math.round(pot * 100);
+  var each = Math.floor(cents / champions.length);
+  var extra = cents - each * champions.length;
+  return champions.map(function(p, i) {
+    return { playerId: p.id, name: p.name, share: (each + (i < extra ? 1 : 0)) / 100 };
+  });
+}
+
+function pot(players) {
+  return players.reduce(function(sum, p) { return sum + (p.totalSpent || 0); }, 0);
+}
+
+// Is there a day left to play after this one? (found is a detect() result or an outcome)
+function canContinue(found) {
+  return found.reason !== 'last-standing' && found.reason !== 'tournament-over' &&
+    DAY_ORDER.indexOf(found.day) < DAY_ORDER.length - 1;
+}
+
+function finish(outcome, status, champions, players, by) {
+  outcome.status = status;
+  outcome.champions = champions.map(function(p) { return p.id; });
+  outcome.pot = pot(players);
+  outcome.payouts = payouts(champions.slice().sort(function(a, b) { return a.name.localeCompare(b.name); }), outcome.pot);
+  outcome.decidedBy = by;
+  outcome.decidedAt = new Date().toISOString();
+}
+
+// Bring config.outcome up to date with the players and games. Keeps votes and
+// decisions for the same situation. Returns true if it changed.
+function refresh(config, players, games, rs, registry) {
+  var before = JSON.stringify(config.outcome || null);
+  var found = detect(players, config, games, rs, registry);
+  var current = config.outcome || null;
+
+  if (!found) {
+    // Still playing (or a result was corrected). A decision to continue stays
+    // on record so the same situation isn't raised again.
+    if (current && current.status !== 'continued') delete config.outcome;
+  } else {
+    var ids = found.survivors.map(function(p) { return p.id; }).sort();
+    var key = found.day + ':' + found.reason + ':' + ids.join(',');
+    if (!current || current.key !== key) {
+      var outcome = {
+        key: key, status: 'deciding', reason: found.reason, message: found.message, day: found.day,
+        survivors: ids, votes: {}, decidedBy: null, decidedAt: null, champions: [], pot: 0, payouts: []
+      };
+      if (found.survivors.length === 1) finish(outcome, 'won', found.survivors, players, 'rules');
+      else if (!canContinue(found)) finish(outcome, 'split', found.survivors, players, 'rules');
+      config.outcome = outcome;
+    } else if (current.status === 'won' || current.status === 'split') {
+      // Fees can still change (a late buyback payment, a rules edit)
+      current.pot = pot(players);
+      var champions = players.filter(function(p) { return current.champions.indexOf(p.id) !== -1; });
+      current.payouts = payouts(champions.sort(function(a, b) { return a.name.localeCompare(b.name); }), current.pot);
+    }
+  }
+  return JSON.stringify(config.outcome || null) !== before;
+}
+
+// A survivor's vote. Everyone voting split ends the pool; once every vote
+// is in and anyone wants to keep going, play continues.
+// Returns an error message or null.
+function vote(config, players, playerId, choice) {
+  var outcome = config.outcome;
+  if (!outcome || outcome.status !== 'deciding') return 'There is nothing to vote on.';
+  if (outcome.survivors.indexOf(playerId) === -1) return 'Only players still standing can vote.';
+  if (CHOICES.indexOf(choice) === -1) return 'Vote split or continue.';
+
+  outcome.votes[playerId] = choice;
+  var votes = outcome.survivors.map(function(id) { return outcome.votes[id]; });
+  if (votes.every(function(v) { return v === 'split'; })) {
+    finish(outcome, 'split', survivorsOf(outcome, players), players, 'vote');
+  } else if (votes.every(Boolean)) {
+    outcome.status = 'continued';
+    outcome.decidedBy = 'vote';
+    outcome.decidedAt = new Date().toISOString();
+  }
+  return null;
+}
+
+// Admin decision: 'split', 'continue', or 'reopen' to go back to voting.
+// Returns an error message or null.
+function decide(config, players, decision) {
+  var outcome = config.outcome;
+  if (!outcome || outcome.status === 'won') return 'There is no split-or-continue decision to make.';
+  if ((decision === 'reopen' || decision === 'continue') && !canContinue(outcome)) {
+    return 'There are no days left to play, so the pot is split.';
+  }
+  if (decision === 'reopen') {
+    Object.assign(outcome, { status: 'deciding', votes: {}, decidedBy: null, decidedAt: null, champions: [], pot: 0, payouts: [] });
+  } else if (decision === 'split') {
+    finish(outcome, 'split', survivorsOf(outcome, players), players, 'admin');
+  } else if (decision === 'continue') {
+    Object.assign(outcome, { status: 'continued', decidedBy: 'admin', decidedAt: new Date().toISOString(), champions: [], pot: 0, payouts: [] });
+  } else {
+    return 'Decision must be split, continue or reopen.';
+  }
+  return null;
+}
+
+function survivorsOf(outcome, players) {
+  return players.filter(function(p) { return outcome.survivors.indexOf(p.id) !== -1; });
+}
+
+// What /state shows: names instead of ids, and who has voted (not how)
+function summary(outcome, players) {
+  if (!outcome) return null;
+  var nameOf = function(id) {
+    var p = players.find(function(pl) { return pl.id === id; });
+    return p ? p.name : 'Deleted entry';
+  };
+  return {
+    status: outcome.status,
+    reason: outcome.reason,
+    message: outcome.message,
+    day: outcome.day,
+    survivors: outcome.survivors.map(function(id) {
+      return { id: id, name: nameOf(id), voted: !!outcome.votes[id] };
+    }),
+    decidedBy: outcome.decidedBy,
+    champions: outcome.champions.map(nameOf),
+    pot: outcome.pot,
+    payouts: outcome.payouts.map(function(p) { return { name: p.name, share: p.share }; })
+  };
+}
+
+module.exports = {
+  CHOICES: CHOICES,
+  detect: detect,
+  payouts: payouts,
+  refresh: refresh,
+  vote: vote,
+  decide: decide,
+  summary: summary
+};
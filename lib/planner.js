@@ -0,0 +1,169 @@
+/* ────────────────────────────────
+   Pick planner
+   Teams can't be reused, so a player has to save strong teams for later
+   days. plan() takes a player and the bracket (as bracket.describe()
+   returns it) and works out, for every team still alive that the player
+   hasn't used, which of the remaining pool days it would play on if it
+   keeps winning. A team plays once per round, so each day belongs to a
+   set of teams decided by the bracket path, not just the day's slate.
+
+   From that it warns when the player risks running out of teams:
+     tight — only as many teams can play a day as it needs picks, and some
+             of them could be spent earlier
+     out   — even if every remaining team keeps winning, the picks through
+             that day can't all be filled; the player would be left
+             submitting None, an automatic loss
+   The check is a best case: teams that would meet each other are both
+   assumed to win.
+──────────────────────────────── */
+const rules = require('./rules');
+const teams = require('./teams');
+
+const DAY_ORDER = rules.DAY_ORDER;
+
+// Is this slot occupant the team, or a First Four placeholder it's part of?
+function holds(name, team) {
+  if (!name) return false;
+  if (name === team) return true;
+  var parts = teams.placeholderParts(name);
+  return !!parts && parts.indexOf(team) !== -1;
+}
+
+// The games a team has left if it keeps winning: [{ slot, round, day, opponent }].
+// Null if it's out (or not in the bracket); empty if it has won it all.
+function teamPath(slots, team) {
+  var next = {};
+  slots.forEach(function(s) {
+    (s.feeders || []).forEach(function(f) { next[f] = s; });
+  });
+  var slot = slots.find(function(s) { return s.round === 'R64' && (holds(s.home, team) || holds(s.away, team)); });
+  if (!slot) return null;
+
+  var path = [];
+  var stillPlaying = true;
+  while (slot) {
+    if (stillPlaying && slot.winner) {
+      if (!holds(slot.winner, team)) return null;
+    } else {
+      stillPlaying = false;
+      var opponent = holds(slot.home, team) ? slot.away : holds(slot.away, team) ? slot.home : null;
+      path.push({ slot: slot.id, round: slot.round, day: slot.day, opponent: opponent });
+    }
+    slot = next[slot.id];
+  }
+  return path;
+}
+
+// Assign teams to pick slots, a day at a time in order, so picks on earlier
+// days are filled first. Returns the first day that can't be filled, or null.
+function firstShortDay(days, eligible) {
+  var owner = {}; // team -> index of the pick slot it fills
+  var slots = [];
+
+  function place(i, seen) {
+    var options = eligible[slots[i]];
+    for (var j = 0; j < options.length; j++) {
+      var team = options[j];
+      if (seen[team]) continue;
+      seen[team] = true;
+      if (owner[team] === undefined || place(owner[team], seen)) {
+        owner[team] = i;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  for (var d = 0; d < days.length; d++) {
+    for (var k = 0; k < days[d].needed; k++) {
+      slots.push(days[d].day);
+      if (!place(slots.length - 1, {})) return days[d].day;
+    }
+  }
+  return null;
+}
+
+// The planner for one player. Days still to pick start at the open pick day,
+// or the day after it once the player has picked for it.
+function plan(player, described, config, rs) {
+  var used = {};
+  Object.keys(player.picks || {}).forEach(function(day) {
+    player.picks[day].forEach(function(t) { used[t] = true; });
+  });
+
+  var pickDay = config.pickDay || config.currentDay;
+  var start = DAY_ORDER.indexOf(pickDay);
+  var closed = (config.closedDays || []).indexOf(pickDay) !== -1;
+  if (closed || (player.picks[pickDay] && player.picks[pickDay].length > 0)) start += 1;
+  var remaining = DAY_ORDER.slice(start);
+
+  // Teams as the first round lists them: an unresolved First Four pair is
+  // picked as its "A/B" placeholder, the same as on the slate
+  var available = [];
+  described.slots.forEach(function(s) {
+    if (s.round !== 'R64') return;
+    [[s.home, s.homeSeed], [s.away, s.awaySeed]].forEach(function(t) {
+      if (!t[0] || used[t[0]]) return;
+      var path = teamPath(described.slots, t[0]);
+      if (!path) return;
+      var games = path.filter(function(g) { return remaining.indexOf(g.day) !== -1; });
+      if (games.length === 0) return;
+      available.push({ team: t[0], seed: t[1], region: s.region, games: games });
+    });
+  });
+  available.sort(function(a, b) { return a.seed - b.seed || a.team.localeCompare(b.team); });
+
+  var days = remaining.map(function(day) {
+    var buyingBack = day === pickDay && !!player.needsBuyback;
+    return {
+      day: day,
+      needed: rules.requiredPicks(rs, day, buyingBack),
+      teams: available.filter(function(t) {
+        return t.games.some(function(g) { return g.day === day; });
+      }).map(function(t) { return t.team; })
+    };
+  });
+
+  var eligible = {};
+  days.forEach(function(d) { eligible[d.day] = d.teams; });
+  var shortDay = firstShortDay(days, eligible);
+
+  var warnings = [];
+  days.forEach(function(d) {
+    if (shortDay && DAY_ORDER.indexOf(d.day) >= DAY_ORDER.indexOf(shortDay)) return;
+    if (d.teams.length !== d.needed) return;
+    // Only a warning if one of these teams could be used up on an earlier day
+    var earlier = days.slice(0, days.indexOf(d));
+    var spendable = d.teams.filter(function(t) {
+      return earlier.some(function(e) { return e.teams.indexOf(t) !== -1; });
+    });
+    if (spendable.length === 0) return;
+    warnings.push({
+      level: 'tight', day: d.day, teams: spendable,
+      message: 'Only ' + d.teams.length + ' of your teams can play on ' + d.day.replace('_', ' ') +
+        ', which needs ' + d.needed + '. Picking ' + spendable.join(' or ') + ' earlier leaves you short.'
+    });
+  });
+  if (shortDay) {
+    warnings.push({
+      level: 'out', day: shortDay, teams: [],
+      message: 'Even if all your remaining teams keep winning, you won\'t have enough for ' +
+        shortDay.replace('_', ' ') + '. You\'d have to pick None, an automatic loss.'
+    });
+  }
+
+  return {
+    playerId: player.id,
+    name: player.name,
+    status: player.status,
+    fromDay: remaining[0] || null,
+    teams: available,
+    days: days.map(function(d) { return { day: d.day, needed: d.needed, teams: d.teams }; }),
+    warnings: warnings
+  };
+}
+
+module.exports = {
+  teamPath: teamPath,
+  plan: plan
+};
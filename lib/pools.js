@@ -0,0 +1,166 @@
+/* ────────────────────────────────
+   Pool registry
+   One server can host several pools (office, family, past seasons). The
+   registry lives in DATA_DIR/pools.json:
+     { defaultPool: 'main', pools: [{ id, name, season, timeZone, archived,
+                                      createdAt, archivedAt, winners, pot }] }
+   timeZone (an IANA name like "America/New_York") is how times are written
+   in the pool's emails; unset, the server's TIME_ZONE is used.
+   Each pool keeps its own config/players/games/bracket/payments/outbox/teams
+   files, and its journal/ of changes, under DATA_DIR/pools/<id>/. Archived
+   pools are kept read-only with their winners and pot recorded at the time
+   they were archived.
+──────────────────────────────── */
+const path = require('path');
+const store = require('./store');
+
+const POOL_FILES = ['config.json', 'players.json', 'games.json', 'bracket.json'];
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+var dataDir = null;
+
+function registryPath() {
+  return path.join(dataDir, 'pools.json');
+}
+
+function readRegistry() {
+  return store.readJSON(registryPath());
+}
+
+function writeRegistry(registry) {
+  store.writeJSON(registryPath(), registry);
+}
+
+function poolDir(id) {
+  return path.join(dataDir, 'pools', id);
+}
+
+// Set the data directory and create the registry on first run. Data from
+// before pools existed (config.json etc. at the top of DATA_DIR) becomes the
+// default pool so nothing is lost. The store must already be open.
+function init(dir, defaults) {
+  dataDir = dir;
+  if (store.exists(registryPath())) return;
+
+  var id = 'main';
+  store.transaction(function() {
+    POOL_FILES.forEach(function(file) {
+      var legacy = path.join(dataDir, file);
+      if (!store.exists(legacy)) return;
+      store.writeJSON(path.join(poolDir(id), file), store.readJSON(legacy));
+      store.remove(legacy);
+    });
+    writeRegistry({
+      defaultPool: id,
+      pools: [{
+        id: id, name: defaults.name, season: defaults.season,
+        archived: false, createdAt: new Date().toISOString()
+      }]
+    });
+  });
+}
+
+function list() {
+  return readRegistry().pools;
+}
+
+function defaultId() {
+  return readRegistry().defaultPool;
+}
+
+// Registry entry plus file paths, or null for an unknown id
+function get(id) {
+  var entry = list().find(function(p) { return p.id === id; });
+  if (!entry) return null;
+  var dir = poolDir(id);
+  return Object.assign({}, entry, {
+    dir: dir,
+    configPath: path.join(dir, 'config.json'),
+    playersPath: path.join(dir, 'players.json'),
+    gamesPath: path.join(dir, 'games.json'),
+    bracketPath: path.join(dir, 'bracket.json'),
+    paymentsPath: path.join(dir, 'payments.json'),
+    outboxPath: path.join(dir, 'outbox.json'),
+    teamsPath: path.join(dir, 'teams.json'),
+    journalDir: path.join(dir, 'journal')
+  });
+}
+
+// Check a new pool's id/name/season. Returns a list of error messages.
+function validateNewPool(entry) {
+  var errors = [];
+  if (!ID_PATTERN.test(entry.id || '')) {
+    errors.push('Pool id must be lowercase letters, numbers and dashes.');
+  } else if (list().some(function(p) { return p.id === entry.id; })) {
+    errors.push('A pool with id "' + entry.id + '" already exists.');
+  }
+  if (!entry.name || !String(entry.name).trim()) errors.push('Pool name is required.');
+  if (!entry.season || !String(entry.season).trim()) errors.push('Season is required.');
+  return errors;
+}
+
+// Register a pool; the caller writes its data files
+function add(entry) {
+  var registry = readRegistry();
+  registry.pools.push({
+    id: entry.id, name: String(entry.name).trim(), season: String(entry.season).trim(),
+    archived: false, createdAt: new Date().toISOString()
+  });
+  writeRegistry(registry);
+  return get(entry.id);
+}
+
+function update(id, fields) {
+  var registry = readRegistry();
+  var entry = registry.pools.find(function(p) { return p.id === id; });
+  if (!entry) return null;
+  Object.assign(entry, fields);
+  writeRegistry(registry);
+  return get(id);
+}
+
+function setDefault(id) {
+  var registry = readRegistry();
+  registry.defaultPool = id;
+  writeRegistry(registry);
+}
+
+// Who won a season: everyone still alive, or if nobody is, everyone who
+// lasted to the latest day anyone played
+function seasonWinners(players, dayOrder) {
+  var alive = players.filter(function(p) { return p.status === 'alive'; });
+  if (alive.length > 0) return alive.map(function(p) { return p.name; });
+
+  var lastDay = function(p) {
+    var last = -1;
+    Object.keys(p.results || {}).forEach(function(day) {
+      last = Math.max(last, dayOrder.indexOf(day));
+    });
+    return last;
+  };
+  var best = players.reduce(function(m, p) { return Math.max(m, lastDay(p)); }, -1);
+  if (best === -1) return [];
+  return players.filter(function(p) { return lastDay(p) === best; }).map(function(p) { return p.name; });
+}
+
+// Public view of a registry entry
+function summary(entry, defaultPool) {
+  return {
+    id: entry.id, name: entry.name, season: entry.season, timeZone: entry.timeZone || null,
+    archived: !!entry.archived, isDefault: entry.id === defaultPool,
+    winners: entry.winners || null, pot: entry.pot === undefined ? null : entry.pot
+  };
+}
+
+module.exports = {
+  init: init,
+  list: list,
+  defaultId: defaultId,
+  get: get,
+  validateNewPool: validateNewPool,
+  add: add,
+  update: update,
+  setDefault: setDefault,
+  seasonWinners: seasonWinners,
+  summary: summary
+};
@@ -0,0 +1,413 @@
+/* ────────────────────────────────
+   Rules engine
+   Replays the whole tournament for every player from thursday_r1 onward,
+   using only their picks, the games data and config. Every route that
+   changes picks or games calls replayTournament() so that an edit on an
+   earlier day flows through to later days.
+
+   A losing day only knocks a player out once another player has won that
+   day — you still have to be beaten. Until then the result stays
+   'pending'. If the day finishes with nobody winning (everyone lost, or
+   ran out of teams), everyone who played it is reprieved: their result is
+   'survived' and reprieves[day] says why.
+
+   An alive player who hadn't picked when a day locked is a no-show
+   (noShows[day] = { action, at, by }). Depending on the pool's noShow rule
+   they are either eliminated with a 'missed' result or given fallback
+   picks (the best-seeded teams they haven't used). The admin can override
+   either way, or excuse the player ('excused' — nothing happens).
+
+   Picks on games that weren't played out follow the pool's gamePolicy
+   (game statuses are in lib/games.js):
+     postponed  'wait' for the result, or treat it like a cancelled game
+     cancelled  'push' (the pick counts neither way), 'advance' (it counts
+                as a win) or 'repick' (the player may swap it for a team
+                that hasn't played yet; a push if they don't)
+     forfeit    'count' like any final, or 'push'
+   A player whose picks all pushed survives the day (reprieve 'no-contest').
+──────────────────────────────── */
+const gameStatus = require('./games');
+
+const DAY_ORDER = [
+  'thursday_r1','friday_r1','saturday_r2','sunday_r2',
+  'thursday_s16','friday_s16','saturday_e8','sunday_e8',
+  'saturday_ff','monday_champ'
+];
+
+// The original pool's rules. config.ruleSet overrides any of these keys, so a
+// pool can change fees, pick counts or buyback windows without code changes.
+const DEFAULT_RULE_SET = {
+  picksPerDay: {
+    thursday_r1: 2, friday_r1: 2,
+    saturday_r2: 1, sunday_r2: 1,
+    thursday_s16: 1, friday_s16: 1,
+    saturday_e8: 1, sunday_e8: 1,
+    saturday_ff: 1, monday_champ: 1,
+  },
+  // Picks required on the day a player buys back in (defaults to picksPerDay)
+  buybackPicks: {
+    friday_r1: 4,
+    saturday_r2: 3,
+    sunday_r2: 3,
+  },
+  buybackDays: ['friday_r1', 'saturday_r2', 'sunday_r2'],
+  maxBuybacks: 3,
+  entryFee: 25,
+  buybackFee: 25,
+  // Hours an entry may stay unpaid before its picks are blocked; null never blocks
+  unpaidGraceHours: null,
+  // What happens to alive players with no picks when a day locks: 'eliminate' or 'auto-pick'
+  noShow: 'eliminate',
+  // When picks lock: 'day' locks the whole day at its first tip-off; 'game'
+  // locks each pick as its game tips off and closes the day at the last one
+  lockMode: 'day',
+  // What a pick on a game that wasn't played out counts as (see GAME_POLICIES)
+  gamePolicy: { postponed: 'wait', cancelled: 'push', forfeit: 'count' }
+};
+
+const NO_SHOW_RULES = ['eliminate', 'auto-pick'];
+
+const LOCK_MODES = ['day', 'game'];
+
+// Choices for each game status in gamePolicy
+const GAME_POLICIES = {
+  postponed: ['wait', 'push', 'advance', 'repick'],
+  cancelled: ['push', 'advance', 'repick'],
+  forfeit: ['count', 'push']
+};
+
+// Effective rule set for a pool: defaults overlaid with config.ruleSet.
+// Older configs kept buybackDays at the top level, so that is still honored.
+function ruleSet(config) {
+  var custom = (config && config.ruleSet) || {};
+  var rs = Object.assign({}, DEFAULT_RULE_SET, custom);
+  rs.picksPerDay = Object.assign({}, DEFAULT_RULE_SET.picksPerDay, custom.picksPerDay);
+  rs.buybackPicks = Object.assign({}, custom.buybackPicks || DEFAULT_RULE_SET.buybackPicks);
+  rs.gamePolicy = Object.assign({}, DEFAULT_RULE_SET.gamePolicy, custom.gamePolicy);
+  if (!custom.buybackDays && config && config.buybackDays) rs.buybackDays = config.buybackDays;
+  rs.buybackDays = rs.buybackDays.slice();
+  return rs;
+}
+
+// Picks required from a player on a day, taking a pending buyback into account
+function requiredPicks(rs, day, buyingBack) {
+  if (buyingBack && rs.buybackPicks[day]) return rs.buybackPicks[day];
+  return rs.picksPerDay[day];
+}
+
+function buybacksEnabled(rs) {
+  return rs.maxBuybacks > 0 && rs.buybackDays.length > 0;
+}
+
+// The day a player who lost on lossDay could buy back in on, or null
+function buybackDayAfter(rs, player, lossDay) {
+  var next = DAY_ORDER[DAY_ORDER.indexOf(lossDay) + 1];
+  if (!next || rs.buybackDays.indexOf(next) === -1) return null;
+  return (player.buybacks || 0) < rs.maxBuybacks ? next : null;
+}
+
+// Check an admin-submitted rule set. Returns a list of error messages.
+function validateRuleSet(rs) {
+  var errors = [];
+  function isCount(n, min) { return typeof n === 'number' && Math.floor(n) === n && n >= min; }
+
+  DAY_ORDER.forEach(function(day) {
+    if (!isCount(rs.picksPerDay[day], 1)) errors.push('Picks for ' + day + ' must be a whole number of at least 1.');
+  });
+  Object.keys(rs.buybackPicks).forEach(function(day) {
+    if (DAY_ORDER.indexOf(day) === -1) errors.push('Unknown buyback day: ' + day);
+    else if (!isCount(rs.buybackPicks[day], 1)) errors.push('Buyback picks for ' + day + ' must be a whole number of at least 1.');
+  });
+  if (!Array.isArray(rs.buybackDays)) {
+    errors.push('Buyback days must be a list.');
+  } else {
+    rs.buybackDays.forEach(function(day) {
+      if (DAY_ORDER.indexOf(day) === -1) errors.push('Unknown buyback day: ' + day);
+      else if (day === DAY_ORDER[0]) errors.push('Nobody can be eliminated before ' + day + ', so it cannot be a buyback day.');
+    });
+  }
+  if (!isCount(rs.maxBuybacks, 0)) errors.push('Max buybacks must be a whole number.');
+  if (typeof rs.entryFee !== 'number' || rs.entryFee < 0) errors.push('Entry fee must be zero or more.');
+  if (typeof rs.buybackFee !== 'number' || rs.buybackFee < 0) errors.push('Buyback fee must be zero or more.');
+  if (rs.unpaidGraceHours !== null && (typeof rs.unpaidGraceHours !== 'number' || rs.unpaidGraceHours < 0)) {
+    errors.push('Unpaid grace period must be zero or more hours, or empty to never block.');
+  }
+  if (NO_SHOW_RULES.indexOf(rs.noShow) === -1) errors.push('No-show rule must be one of: ' + NO_SHOW_RULES.join(', ') + '.');
+  if (LOCK_MODES.indexOf(rs.lockMode) === -1) errors.push('Lock mode must be one of: ' + LOCK_MODES.join(', ') + '.');
+  Object.keys(rs.gamePolicy).forEach(function(status) {
+    if (!GAME_POLICIES[status]) errors.push('Unknown game status in game policy: ' + status);
+    else if (GAME_POLICIES[status].indexOf(rs.gamePolicy[status]) === -1) {
+      errors.push('Policy for ' + status + ' games must be one of: ' + GAME_POLICIES[status].join(', ') + '.');
+    }
+  });
+  return errors;
+}
+
+function isNonePick(picks) {
+  return picks.length === 1 && picks[0] === 'None';
+}
+
+// Is a game done with as far as picks go: a result, or void under a policy
+// that doesn't wait for one?
+function gameSettled(game, rs) {
+  if (gameStatus.hasResult(game)) return true;
+  var status = gameStatus.statusOf(game);
+  return status === 'cancelled' || (status === 'postponed' && rs.gamePolicy.postponed !== 'wait');
+}
+
+// How one pick did: 'win', 'loss', 'pending' or 'push'
+function pickOutcome(team, dayGames, rs) {
+  var game = dayGames.find(function(g) { return g.home === team || g.away === team; });
+  if (!game) return 'pending';
+  var status = gameStatus.statusOf(game);
+  if (status === 'forfeit' && rs.gamePolicy.forfeit === 'push') return 'push';
+  if (gameStatus.hasResult(game)) return game.winner === team ? 'win' : 'loss';
+  if (!gameStatus.isVoid(game)) return 'pending';
+
+  var policy = status === 'postponed' ? rs.gamePolicy.postponed : rs.gamePolicy.cancelled;
+  if (policy === 'advance') return 'win';
+  if (policy === 'push') return 'push';
+  // A re-pick stays open until the rest of the day is played
+  if (policy === 'repick') return dayGames.every(function(g) { return gameSettled(g, rs); }) ? 'push' : 'pending';
+  return 'pending';
+}
+
+// Result of one day's picks given that day's games: 'win', 'loss', 'pending'
+// or 'push' when every pick was on a game that wasn't played out.
+function evaluatePicks(picks, dayGames, rs) {
+  dayGames = dayGames || [];
+  rs = rs || ruleSet(null);
+
+  // "None" — player is out of teams, automatic loss once every game is done
+  if (isNonePick(picks)) {
+    var allDone = dayGames.length > 0 && dayGames.every(function(g) { return gameSettled(g, rs); });
+    return allDone ? 'loss' : 'pending';
+  }
+
+  var outcomes = picks.map(function(t) { return pickOutcome(t, dayGames, rs); });
+  if (outcomes.indexOf('loss') !== -1) return 'loss';
+  if (outcomes.indexOf('pending') !== -1) return 'pending';
+  if (outcomes.indexOf('win') !== -1) return 'win';
+  return 'push';
+}
+
+// Picks a player may still swap out: teams whose game was postponed or
+// cancelled under a 'repick' policy, while the rest of the day is unplayed
+function repickTeams(picks, dayGames, rs) {
+  dayGames = dayGames || [];
+  return picks.filter(function(t) {
+    var game = dayGames.find(function(g) { return g.home === t || g.away === t; });
+    if (!game || !gameStatus.isVoid(game)) return false;
+    return rs.gamePolicy[gameStatus.statusOf(game)] === 'repick' && pickOutcome(t, dayGames, rs) === 'pending';
+  });
+}
+
+// A game has started once it's under way or over, or its tip-off time has
+// passed (see lib/games.js)
+function gameHasStarted(game, now) {
+  return gameStatus.hasStarted(game, now);
+}
+
+// Picks whose games have started: they can't be changed, and in the 'game'
+// lock mode they're shown to everyone before the day locks
+function lockedPicks(picks, dayGames, now) {
+  return (picks || []).filter(function(team) {
+    var game = (dayGames || []).find(function(g) { return g.home === team || g.away === team; });
+    return !!game && gameHasStarted(game, now);
+  });
+}
+
+// Check submitted picks against the day's slate. Returns a list of error
+// messages naming each rejected team; empty when every pick is playable.
+// madeAt (ms) is when picks made earlier were made, e.g. an imported form
+// response: a pick made before its game's tip-off stands even though the
+// game is under way or over by now.
+function validatePicksAgainstSlate(picks, day, dayGames, madeAt) {
+  if (isNonePick(picks)) return [];
+  var errors = [];
+  picks.forEach(function(team) {
+    var game = (dayGames || []).find(function(g) { return g.home === team || g.away === team; });
+    var tipoff = game && game.tipoff ? Date.parse(game.tipoff) : NaN;
+    if (!game) {
+      errors.push(team + ' is not playing on ' + day.replace('_', ' ') + '.');
+    } else if (gameStatus.isVoid(game)) {
+      errors.push(team + '\'s game is ' + gameStatus.statusOf(game) + '.');
+    } else if (madeAt && !isNaN(tipoff)) {
+      if (tipoff <= madeAt) errors.push(team + '\'s game had already started.');
+    } else if (game.final) {
+      errors.push(team + '\'s game is already final.');
+    } else if (gameHasStarted(game, madeAt)) {
+      errors.push(team + '\'s game has already started.');
+    }
+  });
+  return errors;
+}
+
+// Why a losing player stayed in: everyone who played the day lost, or the
+// player ran out of teams ("None") and nobody made a successful pick
+const REPRIEVE_EVERYONE_LOST = 'everyone-lost';
+const REPRIEVE_NOT_BEATEN = 'not-beaten';
+// ...or every pick was on a game that wasn't played out (a push)
+const REPRIEVE_NO_CONTEST = 'no-contest';
+
+// A day's result that lets the player pick the next day
+function advanced(result) {
+  return result === 'win' || result === 'survived';
+}
+
+// Alive players who have no picks for a day and haven't been dealt with yet.
+// Anyone whose previous day is still undecided couldn't pick, so isn't one.
+function findNoShows(players, day) {
+  var prevDay = DAY_ORDER[DAY_ORDER.indexOf(day) - 1];
+  return players.filter(function(p) {
+    var picks = p.picks[day];
+    if (p.status !== 'alive' || (picks && picks.length > 0) || (p.noShows && p.noShows[day])) return false;
+    return !prevDay || !p.picks[prevDay] || advanced(p.results[prevDay]);
+  });
+}
+
+// Picks for a no-show: the best-seeded teams on the day's slate that the
+// player hasn't used and whose games haven't started. ['None'] if there
+// aren't enough left, the same as a player who has run out of teams.
+// at (ms) is when the picks count as made: games that tipped off after it
+// are still open, however far along they are now. In the 'game' lock mode
+// the day closes at its last tip-off, so no-shows are picked as of the
+// first one (schedule.firstLock). Without it, games started by now are out.
+function fallbackPicks(player, day, dayGames, count, at) {
+  var used = {};
+  Object.keys(player.picks).forEach(function(d) {
+    if (d !== day) player.picks[d].forEach(function(t) { used[t] = true; });
+  });
+  var options = [];
+  (dayGames || []).forEach(function(g) {
+    if (gameStatus.isVoid(g)) return;
+    var tipoff = at && g.tipoff ? Date.parse(g.tipoff) : NaN;
+    if (isNaN(tipoff) ? g.final || gameHasStarted(g) : tipoff < at) return;
+    [[g.home, g.homeSeed], [g.away, g.awaySeed]].forEach(function(t) {
+      if (t[0] && !used[t[0]]) options.push({ team: t[0], seed: typeof t[1] === 'number' ? t[1] : 99 });
+    });
+  });
+  options.sort(function(a, b) { return a.seed - b.seed || a.team.localeCompare(b.team); });
+  if (options.length < count) return ['None'];
+  return options.slice(0, count).map(function(o) { return o.team; });
+}
+
+// Recompute results, reprieves, status, buybacks and totalSpent for every
+// player, a day at a time since a loss depends on how everyone else did.
+// A loss or missed deadline eliminates the player; picks on the very next
+// day count as a buyback when that day is a buyback day and the player is
+// under the limit.
+function replayAll(players, games, config) {
+  var rs = ruleSet(config);
+  var state = players.map(function() {
+    return { results: {}, reprieves: {}, buybacks: 0, boughtBackOn: [], outDay: null };
+  });
+
+  DAY_ORDER.forEach(function(day, i) {
+    // Everyone whose picks count this day, with how those picks did
+    var playing = [];
+    players.forEach(function(player, idx) {
+      var picks = player.picks[day];
+      var s = state[idx];
+      if (!picks || picks.length === 0) {
+        var noShow = (player.noShows || {})[day];
+        if (noShow && noShow.action === 'eliminated' && !s.outDay) {
+          s.results[day] = 'missed';
+          s.outDay = day;
+        }
+        return;
+      }
+      var outcome = evaluatePicks(picks, games[day], rs);
+
+      if (s.outDay) {
+        var canBuyBack = i === DAY_ORDER.indexOf(s.outDay) + 1 &&
+          rs.buybackDays.indexOf(day) !== -1 &&
+          s.buybacks < rs.maxBuybacks;
+        // Picks after an elimination that wasn't a valid buyback don't count
+        if (!canBuyBack) {
+          s.results[day] = outcome;
+          return;
+        }
+        s.buybacks += 1;
+        s.boughtBackOn.push(day);
+        s.outDay = null;
+      }
+      playing.push({ s: s, outcome: outcome, none: isNonePick(picks) });
+    });
+
+    var someoneWon = playing.some(function(e) { return e.outcome === 'win'; });
+    var allDecided = playing.every(function(e) { return e.outcome !== 'pending'; });
+    playing.forEach(function(e) {
+      if (e.outcome === 'push') {
+        e.s.results[day] = 'survived';
+        e.s.reprieves[day] = REPRIEVE_NO_CONTEST;
+      } else if (e.outcome !== 'loss' || someoneWon) {
+        e.s.results[day] = e.outcome;
+        if (e.outcome === 'loss') e.s.outDay = day;
+      } else if (allDecided) {
+        e.s.results[day] = 'survived';
+        e.s.reprieves[day] = e.none ? REPRIEVE_NOT_BEATEN : REPRIEVE_EVERYONE_LOST;
+      } else {
+        e.s.results[day] = 'pending'; // lost, but nobody has beaten them yet
+      }
+    });
+  });
+
+  return players.map(function(player, idx) {
+    var s = state[idx];
+    return {
+      results: s.results,
+      reprieves: s.reprieves,
+      status: s.outDay ? 'eliminated' : 'alive',
+      buybacks: s.buybacks,
+      boughtBackOn: s.boughtBackOn,
+      // A pending buyback is dropped once the loss behind it no longer stands
+      needsBuyback: s.outDay ? !!player.needsBuyback : false,
+      totalSpent: rs.entryFee + s.buybacks * rs.buybackFee
+    };
+  });
+}
+
+// Replay every player in place. Returns true if anything changed.
+function replayTournament(config, players, games) {
+  var changed = false;
+  var replayed = replayAll(players, games, config);
+  players.forEach(function(p, idx) {
+    var next = replayed[idx];
+    Object.keys(next).forEach(function(key) {
+      if (JSON.stringify(p[key]) !== JSON.stringify(next[key])) {
+        p[key] = next[key];
+        changed = true;
+      }
+    });
+  });
+  return changed;
+}
+
+module.exports = {
+  DAY_ORDER: DAY_ORDER,
+  DEFAULT_RULE_SET: DEFAULT_RULE_SET,
+  NO_SHOW_RULES: NO_SHOW_RULES,
+  LOCK_MODES: LOCK_MODES,
+  GAME_POLICIES: GAME_POLICIES,
+  ruleSet: ruleSet,
+  requiredPicks: requiredPicks,
+  buybacksEnabled: buybacksEnabled,
+  buybackDayAfter: buybackDayAfter,
+  validateRuleSet: validateRuleSet,
+  isNonePick: isNonePick,
+  gameSettled: gameSettled,
+  pickOutcome: pickOutcome,
+  evaluatePicks: evaluatePicks,
+  repickTeams: repickTeams,
+  gameHasStarted: gameHasStarted,
+  lockedPicks: lockedPicks,
+  validatePicksAgainstSlate: validatePicksAgainstSlate,
+  REPRIEVE_EVERYONE_LOST: REPRIEVE_EVERYONE_LOST,
+  REPRIEVE_NOT_BEATEN: REPRIEVE_NOT_BEATEN,
+  REPRIEVE_NO_CONTEST: REPRIEVE_NO_CONTEST,
+  advanced: advanced,
+  findNoShows: findNoShows,
+  fallbackPicks: fallbackPicks,
+  replayTournament: replayTournament
+};
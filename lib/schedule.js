@@ -0,0 +1,114 @@
+/* ────────────────────────────────
+   Pick deadlines
+   Picks are due before the first game of each day tips off. Games carry an
+   ISO `tipoff` timestamp; a day's deadline is its earliest tipoff (leaving
+   out postponed and cancelled games) unless the admin has overridden it in
+   config.deadlineOverrides:
+     - an ISO string moves the deadline (e.g. a weather or TV delay)
+     - false turns auto-lock off for that day (admin locks by hand)
+   In the 'game' lock mode (rules.js, lockMode) each pick locks when its own
+   game tips off, so the day only closes at its last tip-off; that's the
+   deadline instead. Picks start locking at the first one (firstLock).
+──────────────────────────────── */
+const rules = require('./rules');
+const gameStatus = require('./games');
+
+const DAY_ORDER = rules.DAY_ORDER;
+
+// Earliest (or latest) tip-off of a day's games as an ISO string, or null
+function tipoff(dayGames, latest) {
+  var found = null;
+  (dayGames || []).forEach(function(g) {
+    // A postponed or cancelled game doesn't hold the day's deadline
+    if (!g.tipoff || gameStatus.isVoid(g)) return;
+    var t = Date.parse(g.tipoff);
+    if (isNaN(t)) return;
+    if (found === null || (latest ? t > found : t < found)) found = t;
+  });
+  return found === null ? null : new Date(found).toISOString();
+}
+
+function firstTipoff(dayGames) {
+  return tipoff(dayGames, false);
+}
+
+function lastTipoff(dayGames) {
+  return tipoff(dayGames, true);
+}
+
+// Deadline for a day as an ISO string, or null if it has none
+function dayDeadline(config, games, day) {
+  var overrides = config.deadlineOverrides || {};
+  if (overrides[day] === false) return null;
+  if (overrides[day]) return new Date(overrides[day]).toISOString();
+  if (rules.ruleSet(config).lockMode === 'game') return lastTipoff(games[day]);
+  return firstTipoff(games[day]);
+}
+
+// When a day's first picks lock: its deadline, or in the 'game' lock mode
+// the first tip-off if that comes sooner. Null if it has no deadline.
+function firstLock(config, games, day) {
+  var deadline = dayDeadline(config, games, day);
+  if (!deadline || rules.ruleSet(config).lockMode !== 'game') return deadline;
+  var first = firstTipoff(games[day]);
+  return first && Date.parse(first) < Date.parse(deadline) ? first : deadline;
+}
+
+function allDeadlines(config, games) {
+  var deadlines = {};
+  DAY_ORDER.forEach(function(day) {
+    var d = dayDeadline(config, games, day);
+    if (d) deadlines[day] = d;
+  });
+  return deadlines;
+}
+
+// Close a day's entries and move pickDay/currentDay forward
+function lockDay(config, day) {
+  if (!config.closedDays) config.closedDays = [];
+  if (config.closedDays.indexOf(day) === -1) {
+    config.closedDays.push(day);
+  }
+  // Auto-advance pickDay to the next day when locking the current pick day
+  if (day === config.pickDay) {
+    var pickIdx = DAY_ORDER.indexOf(config.pickDay);
+    if (pickIdx < DAY_ORDER.length - 1) {
+      config.pickDay = DAY_ORDER[pickIdx + 1];
+    }
+  }
+  // Auto-advance currentDay so standings show the latest locked day
+  var lockedDayIdx = DAY_ORDER.indexOf(day);
+  var currentDayIdx = DAY_ORDER.indexOf(config.currentDay);
+  if (lockedDayIdx > currentDayIdx) {
+    config.currentDay = day;
+  }
+}
+
+// Lock the pick day once its deadline has passed. Repeats in case the server
+// was down across more than one deadline. Returns the list of days locked.
+function applyAutoLock(config, games, now) {
+  now = now || Date.now();
+  var locked = [];
+  var closed = config.closedDays || [];
+  var day = config.pickDay || config.currentDay;
+  while (day && closed.indexOf(day) === -1) {
+    var deadline = dayDeadline(config, games, day);
+    if (!deadline || Date.parse(deadline) > now) break;
+    lockDay(config, day);
+    locked.push(day);
+    closed = config.closedDays;
+    if (config.pickDay === day) break; // last day — nothing left to advance to
+    day = config.pickDay;
+  }
+  return locked;
+}
+
+module.exports = {
+  firstTipoff: firstTipoff,
+  lastTipoff: lastTipoff,
+  dayDeadline: dayDeadline,
+  firstLock: firstLock,
+  allDeadlines: allDeadlines,
+  lockDay: lockDay,
+  applyAutoLock: applyAutoLock
+};
@@ -0,0 +1,74 @@
+/* ────────────────────────────────
+   Spreadsheet export
+   The two sheets the admin has always kept by hand, as rows for
+   csv.stringify() or xlsx.build():
+     standings — one row per entry: status, how far it got, buybacks, and
+                 what it owes (see lib/ledger.js)
+     picks     — one row per entry, one column per day: the teams picked
+                 and how the day went, e.g. "Duke, Houston (won)"
+   Both list entries alive first, then by how long they lasted.
+──────────────────────────────── */
+const rules = require('./rules');
+const ledger = require('./ledger');
+const notify = require('./notify');
+
+const DAY_ORDER = rules.DAY_ORDER;
+
+const RESULT_WORDS = { win: 'won', loss: 'lost', survived: 'survived', missed: 'missed deadline', pending: 'pending' };
+
+function statusText(player) {
+  if (player.needsBuyback) return 'Needs buyback';
+  return player.status === 'alive' ? 'Alive' : 'Eliminated';
+}
+
+// The last day the entry got through, or null
+function lastDaySurvived(player) {
+  var days = DAY_ORDER.filter(function(d) { return rules.advanced((player.results || {})[d]); });
+  return days.length > 0 ? days[days.length - 1] : null;
+}
+
+function ordered(players) {
+  return players.slice().sort(function(a, b) {
+    var alive = (b.status === 'alive') - (a.status === 'alive');
+    return alive || DAY_ORDER.indexOf(lastDaySurvived(b)) - DAY_ORDER.indexOf(lastDaySurvived(a)) ||
+      a.name.localeCompare(b.name);
+  });
+}
+
+function standings(players, payments, rs) {
+  var rows = [['Name', 'Email', 'Status', 'Last Day Survived', 'Buybacks', 'Entry Total', 'Paid', 'Owed']];
+  ordered(players).forEach(function(p) {
+    var acct = ledger.account(p, payments, rs);
+    var last = lastDaySurvived(p);
+    rows.push([p.name, p.email || '', statusText(p), last ? notify.DAY_NAMES[last] : '', p.buybacks || 0, acct.charged, acct.paid, acct.owed]);
+  });
+  return {
+    name: 'Standings',
+    columns: [{ width: 22 }, { width: 28 }, { width: 14 }, { width: 24 }, { width: 10 }, { width: 12, money: true }, { width: 12, money: true }, { width: 12, money: true }],
+    rows: rows
+  };
+}
+
+function picks(players) {
+  var rows = [['Name', 'Status'].concat(DAY_ORDER.map(function(d) { return notify.DAY_NAMES[d]; }))];
+  ordered(players).forEach(function(p) {
+    rows.push([p.name, statusText(p)].concat(DAY_ORDER.map(function(day) {
+      var teams = (p.picks || {})[day];
+      var result = (p.results || {})[day];
+      if (!teams || teams.length === 0) return result === 'missed' ? '(' + RESULT_WORDS.missed + ')' : '';
+      var cell = teams.join(', ');
+      if ((p.boughtBackOn || []).indexOf(day) !== -1) cell = 'Buyback: ' + cell;
+      return result ? cell + ' (' + (RESULT_WORDS[result] || result) + ')' : cell;
+    })));
+  });
+  return {
+    name: 'Picks',
+    columns: [{ width: 22 }, { width: 14 }].concat(DAY_ORDER.map(function() { return { width: 26 }; })),
+    rows: rows
+  };
+}
+
+module.exports = {
+  standings: standings,
+  picks: picks
+};
@@ -0,0 +1,174 @@
+/* ────────────────────────────────
+   Pool statistics
+   Built from the replayed players and the games, for closed days only —
+   picks for an open day are still secret. compute() returns:
+     survival:   per day, entries still in, knocked out and bought back in
+     popularity: per day, each team's pick count and how the team did
+     upsets:     losing teams ranked by how many entries they knocked out
+     players:    per entry, chalk vs. underdog vs. contrarian picks, buybacks
+   Only picks that counted are included: picks made after an elimination
+   that wasn't a valid buyback are left out, the same as in the replay.
+──────────────────────────────── */
+const rules = require('./rules');
+const gameStatus = require('./games');
+
+const DAY_ORDER = rules.DAY_ORDER;
+
+// A pick made by no more than this share of the day's entries is contrarian
+const CONTRARIAN_SHARE = 0.1;
+
+// How each team on a day's slate did, with its seed and opponent
+function teamResults(dayGames) {
+  var byTeam = {};
+  (dayGames || []).forEach(function(g) {
+    [[g.home, g.homeSeed, g.away, g.awaySeed], [g.away, g.awaySeed, g.home, g.homeSeed]].forEach(function(t) {
+      if (!t[0]) return;
+      var result = gameStatus.hasResult(g) ? (g.winner === t[0] ? 'win' : 'loss') : 'pending';
+      byTeam[t[0]] = {
+        result: result,
+        seed: typeof t[1] === 'number' ? t[1] : null,
+        opponent: t[2] || null,
+        opponentSeed: typeof t[3] === 'number' ? t[3] : null
+      };
+    });
+  });
+  return byTeam;
+}
+
+// Which days each player's picks counted on, walking days in order like the
+// replay: an entry is in from its first picks until a loss or missed
+// deadline, and back in on a day it bought back.
+function countedDays(player, days) {
+  var counted = [];
+  var started = false, inPlay = false;
+  days.forEach(function(day) {
+    var picks = player.picks[day] || [];
+    var result = (player.results || {})[day];
+    if (!started && picks.length > 0) { started = true; inPlay = true; }
+    if ((player.boughtBackOn || []).indexOf(day) !== -1) inPlay = true;
+    if (!inPlay) return;
+    if (picks.length > 0 || result === 'missed') counted.push(day);
+    if (result === 'loss' || result === 'missed') inPlay = false;
+  });
+  return counted;
+}
+
+function compute(players, games, config) {
+  var closed = config.closedDays || [];
+  var days = DAY_ORDER.filter(function(d) { return closed.indexOf(d) !== -1; });
+  var results = {};
+  days.forEach(function(day) { results[day] = teamResults(games[day]); });
+  var counted = players.map(function(p) { return countedDays(p, days); });
+
+  // Counted picks per day and team
+  var popularity = days.map(function(day) {
+    var counts = {};
+    var entries = 0;
+    players.forEach(function(p, idx) {
+      if (counted[idx].indexOf(day) === -1) return;
+      entries += 1;
+      (p.picks[day] || []).forEach(function(team) {
+        if (team !== 'None') counts[team] = (counts[team] || 0) + 1;
+      });
+    });
+    var teams = Object.keys(counts).map(function(team) {
+      var r = results[day][team];
+      return { team: team, count: counts[team], share: counts[team] / entries, result: r ? r.result : 'pending', seed: r ? r.seed : null };
+    }).sort(function(a, b) { return b.count - a.count || a.team.localeCompare(b.team); });
+    return { day: day, entries: entries, teams: teams };
+  });
+  var shareOf = {};
+  popularity.forEach(function(d) {
+    shareOf[d.day] = {};
+    d.teams.forEach(function(t) { shareOf[d.day][t.team] = t.share; });
+  });
+
+  // Entries in play each day, and how many left or came back
+  var survival = days.map(function(day) {
+    var point = { day: day, entries: 0, eliminated: 0, reentered: 0, survivors: 0 };
+    players.forEach(function(p, idx) {
+      if (counted[idx].indexOf(day) === -1) return;
+      point.entries += 1;
+      if ((p.boughtBackOn || []).indexOf(day) !== -1) point.reentered += 1;
+      var result = p.results[day];
+      if (result === 'loss' || result === 'missed') point.eliminated += 1;
+      else point.survivors += 1;
+    });
+    return point;
+  });
+
+  // Every losing team that knocked out at least one entry. An entry that lost
+  // two picks is counted against both teams: either one would have done it.
+  var upsets = [];
+  days.forEach(function(day) {
+    Object.keys(results[day]).forEach(function(team) {
+      var r = results[day][team];
+      if (r.result !== 'loss') return;
+      var pickedBy = 0, knockedOut = 0;
+      players.forEach(function(p, idx) {
+        if (counted[idx].indexOf(day) === -1 || (p.picks[day] || []).indexOf(team) === -1) return;
+        pickedBy += 1;
+        if (p.results[day] === 'loss') knockedOut += 1;
+      });
+      if (knockedOut === 0) return;
+      upsets.push({
+        day: day, team: team, seed: r.seed, beatenBy: r.opponent, beatenBySeed: r.opponentSeed,
+        upset: r.seed !== null && r.opponentSeed !== null && r.opponentSeed > r.seed,
+        pickedBy: pickedBy, knockedOut: knockedOut
+      });
+    });
+  });
+  upsets.sort(function(a, b) {
+    return b.knockedOut - a.knockedOut || b.pickedBy - a.pickedBy ||
+      DAY_ORDER.indexOf(a.day) - DAY_ORDER.indexOf(b.day) || a.team.localeCompare(b.team);
+  });
+
+  // Per entry: chalk picks are the better seed in their game, underdogs the
+  // worse one (games without seeds are neither); contrarian picks were made
+  // by few other entries that day
+  var playerStats = players.map(function(p, idx) {
+    var s = {
+      id: p.id, name: p.name, status: p.status, picks: 0, wins: 0, losses: 0,
+      chalk: 0, underdogs: 0, contrarian: 0, averageShare: null,
+      buybacks: p.buybacks || 0, reprieves: Object.keys(p.reprieves || {}).length,
+      missed: 0, daysSurvived: 0
+    };
+    var shareTotal = 0;
+    counted[idx].forEach(function(day) {
+      var result = p.results[day];
+      if (result === 'missed') s.missed += 1;
+      if (rules.advanced(result)) s.daysSurvived += 1;
+      (p.picks[day] || []).forEach(function(team) {
+        if (team === 'None') return;
+        var r = results[day][team];
+        s.picks += 1;
+        shareTotal += shareOf[day][team];
+        if (shareOf[day][team] <= CONTRARIAN_SHARE) s.contrarian += 1;
+        if (!r) return;
+        if (r.result === 'win') s.wins += 1;
+        if (r.result === 'loss') s.losses += 1;
+        if (r.seed !== null && r.opponentSeed !== null && r.seed !== r.opponentSeed) {
+          if (r.seed < r.opponentSeed) s.chalk += 1;
+          else s.underdogs += 1;
+        }
+      });
+    });
+    if (s.picks > 0) s.averageShare = shareTotal / s.picks;
+    return s;
+  }).sort(function(a, b) { return a.name.localeCompare(b.name); });
+
+  return {
+    days: days,
+    contrarianShare: CONTRARIAN_SHARE,
+    survival: survival,
+    popularity: popularity,
+    upsets: upsets,
+    players: playerStats
+  };
+}
+
+module.exports = {
+  CONTRARIAN_SHARE: CONTRARIAN_SHARE,
+  countedDays: countedDays,
+  compute: compute
+};
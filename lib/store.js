@@ -0,0 +1,346 @@
+/* ────────────────────────────────
+   Storage
+   Every data file goes through readJSON/writeJSON here instead of raw fs
+   calls, so writes are crash-safe and concurrent requests can't lose each
+   other's changes. Two backends, picked with STORAGE:
+     - json (default): the files under DATA_DIR, as before. A write goes to
+       a temp file that is fsynced and renamed over the original, so a crash
+       leaves either the old file or the new one, never half of each.
+     - sqlite: one DATA_DIR/survivorpool.db holding each file as a row keyed
+       by its path under DATA_DIR. Needs Node 22.13+ (built-in node:sqlite).
+       On first start it imports the existing JSON files once; they're left
+       in place as a backup.
+
+   transaction(fn) runs fn holding the storage lock (a lock file for json,
+   BEGIN IMMEDIATE for sqlite), so transactions from other requests and other
+   server processes wait their turn. Writes inside it are staged and land
+   together when fn returns — all of them or none — and reads inside it see
+   the staged data. A throw discards them. Nested calls join the outer
+   transaction; a write outside any transaction is its own transaction.
+   afterCommit(fn) defers side effects (like live updates) until the
+   transaction's writes have landed. pendingChanges() lists what the open
+   transaction is about to write, with each file's committed text, so the
+   change can be journaled (see lib/journal.js) in the same commit.
+──────────────────────────────── */
+const fs = require('fs');
+const path = require('path');
+
+const LOCK_WAIT_MS = 5000;    // give up waiting for another process after this
+const LOCK_STALE_MS = 30000;  // a lock older than this was left by a crash
+
+var backend = null;
+var staged = null; // Map of file → JSON text (null = removed) for the open transaction
+var commitHooks = [];
+
+// Block the thread briefly while another process holds the lock
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function notFound(file) {
+  var err = new Error('ENOENT: no such file, open \'' + file + '\'');
+  err.code = 'ENOENT';
+  return err;
+}
+
+/* ── JSON files ── */
+function jsonBackend(dir) {
+  var lockPath = path.join(dir, '.lock');
+  var journalPath = path.join(dir, '.journal.json');
+
+  // Write and fsync before renaming, so the rename only ever exposes a complete file
+  function writeDurable(file, text) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    var fd = fs.openSync(file, 'w');
+    try {
+      fs.writeSync(fd, text);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  function writeAtomic(file, text) {
+    writeDurable(file + '.tmp', text);
+    fs.renameSync(file + '.tmp', file);
+  }
+
+  // Move staged temp files into place and delete removed files. Safe to
+  // repeat, which is what recovery does after a crash part-way through.
+  function replay(entries) {
+    entries.forEach(function(e) {
+      if (e.write) {
+        if (fs.existsSync(e.file + '.tmp')) fs.renameSync(e.file + '.tmp', e.file);
+      } else if (fs.existsSync(e.file)) {
+        fs.unlinkSync(e.file);
+      }
+    });
+  }
+
+  function lockIsStale() {
+    try {
+      var pid = parseInt(fs.readFileSync(lockPath, 'utf-8'), 10);
+      // Our own pid can only be a leftover from an earlier run (containers reuse pids)
+      if (pid === process.pid) return true;
+      try {
+        process.kill(pid, 0);
+      } catch (err) {
+        if (err.code === 'ESRCH') return true;
+      }
+      return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+    } catch (err) {
+      return false; // released while we looked; just try again
+    }
+  }
+
+  function lock() {
+    var started = Date.now();
+    for (;;) {
+      try {
+        fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+        return;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      if (lockIsStale()) {
+        try { fs.unlinkSync(lockPath); } catch (err) { /* someone else cleared it */ }
+        continue;
+      }
+      if (Date.now() - started > LOCK_WAIT_MS) {
+        throw new Error('Storage is busy: another process has held ' + lockPath + ' for over ' + LOCK_WAIT_MS / 1000 + 's.');
+      }
+      sleep(10);
+    }
+  }
+
+  function unlock() {
+    try { fs.unlinkSync(lockPath); } catch (err) { /* already gone */ }
+  }
+
+  // A single file just needs one rename. Several files go through a journal
+  // listing the renames, so a crash between them is finished on next start.
+  function commit(changes) {
+    var entries = [];
+    changes.forEach(function(text, file) {
+      if (text !== null) writeDurable(file + '.tmp', text);
+      entries.push({ file: file, write: text !== null });
+    });
+    if (entries.length === 0) return;
+    if (entries.length === 1) return replay(entries);
+    writeAtomic(journalPath, JSON.stringify(entries));
+    replay(entries);
+    fs.unlinkSync(journalPath);
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  lock();
+  try {
+    if (fs.existsSync(journalPath)) {
+      replay(JSON.parse(fs.readFileSync(journalPath, 'utf-8')));
+      fs.unlinkSync(journalPath);
+      console.log('Storage: finished a transaction interrupted by a crash.');
+    }
+  } finally {
+    unlock();
+  }
+
+  return {
+    name: 'json',
+    read: function(file) {
+      return fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null;
+    },
+    exists: function(file) {
+      return fs.existsSync(file);
+    },
+    lock: lock,
+    commit: commit,
+    unlock: unlock
+  };
+}
+
+/* ── SQLite ── */
+// Applied in order; PRAGMA user_version records how many have run
+const MIGRATIONS = [
+  'CREATE TABLE documents (key TEXT PRIMARY KEY, data TEXT NOT NULL, updated_at TEXT NOT NULL);' +
+  'CREATE TABLE meta (name TEXT PRIMARY KEY, value TEXT NOT NULL);'
+];
+
+function migrate(db) {
+  var version = db.prepare('PRAGMA user_version').get().user_version;
+  for (var i = version; i < MIGRATIONS.length; i++) {
+    db.exec('BEGIN IMMEDIATE');
+    try {
+      db.exec(MIGRATIONS[i]);
+      db.exec('PRAGMA user_version = ' + (i + 1));
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+}
+
+// Every .json data file under dir, skipping our own temp and lock files
+function jsonFiles(dir) {
+  var found = [];
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(function(entry) {
+    if (entry.name.charAt(0) === '.') return;
+    var full = path.join(dir, entry.name);
+    if (entry.isDirectory()) found = found.concat(jsonFiles(full));
+    else if (/\.json$/.test(entry.name)) found.push(full);
+  });
+  return found;
+}
+
+function sqliteBackend(dir) {
+  var sqlite;
+  try {
+    sqlite = require('node:sqlite');
+  } catch (err) {
+    throw new Error('STORAGE=sqlite needs Node 22.13 or newer (built-in node:sqlite); this is Node ' + process.versions.node + '.');
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  var db = new sqlite.DatabaseSync(path.join(dir, 'survivorpool.db'));
+  db.exec('PRAGMA journal_mode = WAL');
+  db.exec('PRAGMA busy_timeout = ' + LOCK_WAIT_MS);
+  migrate(db);
+
+  // Rows are keyed by path under DATA_DIR so the data dir can move
+  function key(file) {
+    var rel = path.relative(dir, file);
+    if (rel.slice(0, 2) === '..' || path.isAbsolute(rel)) throw new Error('Outside the data directory: ' + file);
+    return rel.split(path.sep).join('/');
+  }
+
+  var getDoc = db.prepare('SELECT data FROM documents WHERE key = ?');
+  var putDoc = db.prepare(
+    'INSERT INTO documents (key, data, updated_at) VALUES (?, ?, ?) ' +
+    'ON CONFLICT(key) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at');
+  var deleteDoc = db.prepare('DELETE FROM documents WHERE key = ?');
+
+  function commit(changes) {
+    var now = new Date().toISOString();
+    changes.forEach(function(text, file) {
+      if (text === null) deleteDoc.run(key(file));
+      else putDoc.run(key(file), text, now);
+    });
+  }
+
+  // One-time import of the JSON files from before the database existed
+  db.exec('BEGIN IMMEDIATE');
+  try {
+    if (!db.prepare('SELECT value FROM meta WHERE name = ?').get('json_import')) {
+      var files = jsonFiles(dir);
+      var changes = new Map();
+      files.forEach(function(file) {
+        var text = fs.readFileSync(file, 'utf-8');
+        JSON.parse(text); // refuse to import a corrupt file rather than lose it quietly
+        changes.set(file, text);
+      });
+      commit(changes);
+      db.prepare('INSERT INTO meta (name, value) VALUES (?, ?)').run('json_import', new Date().toISOString());
+      if (files.length > 0) {
+        console.log('Storage: imported ' + files.length + ' JSON files into survivorpool.db (originals left in place).');
+      }
+    }
+    db.exec('COMMIT');
+  } catch (err) {
+    db.exec('ROLLBACK');
+    throw err;
+  }
+
+  return {
+    name: 'sqlite',
+    read: function(file) {
+      var row = getDoc.get(key(file));
+      return row ? row.data : null;
+    },
+    exists: function(file) {
+      return !!getDoc.get(key(file));
+    },
+    lock: function() { db.exec('BEGIN IMMEDIATE'); },
+    commit: commit,
+    unlock: function(committed) { db.exec(committed ? 'COMMIT' : 'ROLLBACK'); }
+  };
+}
+
+/* ── Public API ── */
+// Pick the backend and finish anything a crash interrupted. Call once at startup.
+function open(dir, options) {
+  var kind = (options && options.backend) || 'json';
+  if (kind === 'json') backend = jsonBackend(dir);
+  else if (kind === 'sqlite') backend = sqliteBackend(dir);
+  else throw new Error('Unknown STORAGE backend: ' + kind + ' (use json or sqlite).');
+  return backend.name;
+}
+
+function transaction(fn) {
+  if (staged) return fn();
+  backend.lock();
+  staged = new Map();
+  commitHooks = [];
+  var committed = false;
+  var hooks;
+  try {
+    var result = fn();
+    backend.commit(staged);
+    committed = true;
+  } finally {
+    staged = null;
+    hooks = commitHooks;
+    commitHooks = [];
+    backend.unlock(committed);
+  }
+  hooks.forEach(function(hook) { hook(); });
+  return result;
+}
+
+// Run fn once the open transaction commits (dropped if it throws), or now if none is open
+function afterCommit(fn) {
+  if (staged) commitHooks.push(fn);
+  else fn();
+}
+
+// Files the open transaction changes: [{ file, before, after }] as JSON text,
+// null for a missing or removed file. Writes that leave a file as it was are skipped.
+function pendingChanges() {
+  var changes = [];
+  if (!staged) return changes;
+  staged.forEach(function(after, file) {
+    var before = backend.read(file);
+    if (before !== after) changes.push({ file: file, before: before, after: after });
+  });
+  return changes;
+}
+
+function readJSON(file) {
+  var text = staged && staged.has(file) ? staged.get(file) : backend.read(file);
+  if (text === null) throw notFound(file);
+  return JSON.parse(text);
+}
+
+function writeJSON(file, data) {
+  var text = JSON.stringify(data, null, 2);
+  transaction(function() { staged.set(file, text); });
+}
+
+function exists(file) {
+  if (staged && staged.has(file)) return staged.get(file) !== null;
+  return backend.exists(file);
+}
+
+function remove(file) {
+  transaction(function() { staged.set(file, null); });
+}
+
+module.exports = {
+  open: open,
+  transaction: transaction,
+  afterCommit: afterCommit,
+  pendingChanges: pendingChanges,
+  readJSON: readJSON,
+  writeJSON: writeJSON,
+  exists: exists,
+  remove: remove
+};
@@ -0,0 +1,256 @@
+/* ────────────────────────────────
+   Sweat scenarios
+   While a day is being played, every entry still riding on an undecided
+   game is 'pending'. compute() works out what each way those games could
+   go would mean:
+     games      per undecided game and team: the entries riding on it, how
+                many are out if it loses, and how many entries are left
+                standing if it wins
+     scenarios  the distinct ways the day can end (who is knocked out),
+                the ones most combinations lead to first, with the results
+                every one of them needs and whether the pool would be over
+                (lib/outcome.js)
+     standings  the day's entries as they stand, with any hypothetical
+                winners the user clicked treated as final
+   Only games some live entry's picks ride on are enumerated; the rest
+   can't change anything. Entries are grouped by the results their picks
+   need and each combination is checked against a bitmask per group, so a
+   Thursday with 16 games open is 65,536 cheap checks. Each distinct
+   outcome listed is then confirmed with a real replay, so buybacks and
+   reprieves come out exactly as they will.
+   Picks are only public once a day locks, so only closed days are swept.
+──────────────────────────────── */
+const rules = require('./rules');
+const stats = require('./stats');
+const outcome = require('./outcome');
+
+const DAY_ORDER = rules.DAY_ORDER;
+
+// Past this many games that matter the combinations aren't enumerated
+// (2^18 is about a quarter of a million)
+const MAX_GAMES = 18;
+// Distinct outcomes listed, the most common first
+const MAX_SCENARIOS = 40;
+
+function withWinner(game, team) {
+  return Object.assign({}, game, { status: 'final', final: true, winner: team });
+}
+
+// The games with a day's hypothetical winners ({ gameId: team }) made final
+function applyWinners(games, day, winners) {
+  var copy = Object.assign({}, games);
+  copy[day] = (games[day] || []).map(function(g) {
+    return winners[g.id] ? withWinner(g, winners[g.id]) : g;
+  });
+  return copy;
+}
+
+// Check hypothetical winners against the day's games. Returns a list of error messages.
+function checkWinners(dayGames, winners, rs) {
+  var errors = [];
+  Object.keys(winners).forEach(function(id) {
+    var game = (dayGames || []).find(function(g) { return String(g.id) === id; });
+    if (!game) {
+      errors.push('There is no game ' + id + ' on that day.');
+    } else if (rules.gameSettled(game, rs)) {
+      errors.push(game.home + ' vs ' + game.away + ' is already decided.');
+    } else if (winners[id] !== game.home && winners[id] !== game.away) {
+      errors.push(winners[id] + ' is not playing in ' + game.home + ' vs ' + game.away + '.');
+    }
+  });
+  return errors;
+}
+
+// Replay a copy of the players against the given games
+function replayed(players, games, config) {
+  var copy = JSON.parse(JSON.stringify(players));
+  rules.replayTournament(config, copy, games);
+  return copy;
+}
+
+// How an entry's picks can go: a loss already in, a win already in, and the
+// results (bit set = home team wins) still needed from the open games
+function needs(player, day, dayGames, bitOf, rs) {
+  var picks = player.picks[day];
+  var need = { lost: false, won: false, mask: 0, want: 0 };
+  // "None" is an automatic loss once the day is played
+  if (rules.isNonePick(picks)) {
+    need.lost = true;
+    return need;
+  }
+  picks.forEach(function(team) {
+    var result = rules.pickOutcome(team, dayGames, rs);
+    if (result === 'loss') need.lost = true;
+    if (result === 'win') need.won = true;
+    if (result !== 'pending') return;
+    var game = dayGames.find(function(g) { return g.home === team || g.away === team; });
+    // Otherwise a re-pick that was never made: a push once the day is played
+    if (game && bitOf[game.id] !== undefined) {
+      var bit = 1 << bitOf[game.id];
+      need.mask |= bit;
+      if (game.home === team) need.want |= bit;
+    }
+  });
+  return need;
+}
+
+function compute(players, games, config, day, winners, registry) {
+  var rs = rules.ruleSet(config);
+  winners = winners || {};
+  var hypo = applyWinners(games, day, winners);
+  var dayGames = hypo[day] || [];
+  var current = replayed(players, hypo, config);
+
+  // Entries whose picks count today
+  var through = DAY_ORDER.slice(0, DAY_ORDER.indexOf(day) + 1);
+  var inPlay = current.filter(function(p) {
+    return (p.picks[day] || []).length > 0 && stats.countedDays(p, through).indexOf(day) !== -1;
+  });
+  var aliveElsewhere = current.filter(function(p) {
+    return p.status === 'alive' && inPlay.indexOf(p) === -1;
+  }).length;
+
+  // Open games that some live entry rides on, one bit each
+  var open = dayGames.filter(function(g) { return !rules.gameSettled(g, rs); });
+  var lost = inPlay.map(function(p) { return needs(p, day, dayGames, {}, rs).lost; });
+  // Live entries that need a team to win
+  function ridingOn(team) {
+    return inPlay.filter(function(p, idx) { return !lost[idx] && p.picks[day].indexOf(team) !== -1; }).length;
+  }
+  var relevant = open.filter(function(g) { return ridingOn(g.home) + ridingOn(g.away) > 0; });
+  var bitOf = {};
+  relevant.forEach(function(g, i) { bitOf[g.id] = i; });
+  var riding = inPlay.map(function(p) { return needs(p, day, dayGames, bitOf, rs); });
+
+  // Entries that need the same results share a group
+  var groups = [];
+  var groupOf = {};
+  riding.forEach(function(n, idx) {
+    var key = n.lost ? 'lost' : n.mask + ':' + n.want + ':' + n.won;
+    if (groupOf[key] === undefined) {
+      groupOf[key] = groups.length;
+      groups.push({ lost: n.lost, won: n.won, mask: n.mask, want: n.want, members: [] });
+    }
+    groups[groupOf[key]].members.push(inPlay[idx]);
+  });
+
+  var tooMany = relevant.length > MAX_GAMES;
+  var byTeam = {};
+  var outcomes = {};
+  var combinations = tooMany ? null : Math.pow(2, relevant.length);
+
+  if (!tooMany) {
+    // Per bit and value: fewest and most entries left, and whether nobody won in any
+    var ranges = relevant.map(function() {
+      return [{ min: Infinity, max: 0, reprieve: false }, { min: Infinity, max: 0, reprieve: false }];
+    });
+    var out = new Array(groups.length);
+    for (var s = 0; s < combinations; s++) {
+      var someoneWon = false;
+      for (var g = 0; g < groups.length; g++) {
+        var grp = groups[g];
+        // 0 lost, 1 won, 2 pushed
+        out[g] = grp.lost || (s & grp.mask) !== grp.want ? 0 : grp.mask || grp.won ? 1 : 2;
+        if (out[g] === 1) someoneWon = true;
+      }
+      // A loss only knocks an entry out once somebody else won the day
+      var key = '';
+      var alive = aliveElsewhere;
+      for (g = 0; g < groups.length; g++) {
+        var knockedOut = someoneWon && out[g] === 0;
+        key += knockedOut ? '1' : '0';
+        if (!knockedOut) alive += groups[g].members.length;
+      }
+      var seen = outcomes[key];
+      if (!seen) outcomes[key] = { count: 1, all: s, any: s, example: s };
+      else {
+        seen.count += 1;
+        seen.all &= s;
+        seen.any |= s;
+      }
+      for (var b = 0; b < relevant.length; b++) {
+        var range = ranges[b][(s >> b) & 1];
+        if (alive < range.min) range.min = alive;
+        if (alive > range.max) range.max = alive;
+        if (!someoneWon) range.reprieve = true;
+      }
+    }
+    relevant.forEach(function(game, i) {
+      byTeam[game.home] = ranges[i][1];
+      byTeam[game.away] = ranges[i][0];
+    });
+  }
+
+  var gameReport = open.map(function(game) {
+    var teams = [[game.home, game.homeSeed, game.away], [game.away, game.awaySeed, game.home]].map(function(t) {
+      var range = byTeam[t[0]];
+      return {
+        team: t[0],
+        seed: typeof t[1] === 'number' ? t[1] : null,
+        // Out if it loses, unless nobody wins the day, in which case every
+        // loser is reprieved
+        riding: ridingOn(t[0]),
+        reprieveIfLoses: !!byTeam[t[2]] && byTeam[t[2]].reprieve,
+        aliveIfWins: range ? { min: range.min, max: range.max } : null
+      };
+    });
+    return { id: game.id, home: game.home, away: game.away, status: game.status || null, matters: bitOf[game.id] !== undefined, teams: teams };
+  });
+
+  // Every distinct outcome, confirmed with a replay of one combination that leads to it
+  var distinct = Object.keys(outcomes).map(function(key) { return outcomes[key]; })
+    .sort(function(a, b) { return b.count - a.count; });
+  var scenarios = distinct.slice(0, MAX_SCENARIOS).map(function(o) {
+    var picked = {};
+    relevant.forEach(function(game, i) {
+      picked[game.id] = (o.example >> i) & 1 ? game.home : game.away;
+    });
+    var scenarioGames = applyWinners(hypo, day, picked);
+    var after = replayed(current, scenarioGames, config);
+    var ids = inPlay.map(function(p) { return p.id; });
+    var entries = after.filter(function(p) { return ids.indexOf(p.id) !== -1; });
+    var ended = outcome.detect(after, config, scenarioGames, rs, registry);
+    return {
+      combinations: o.count,
+      share: o.count / combinations,
+      // Results that hold in every combination leading here
+      needs: relevant.filter(function(game, i) {
+        var bit = 1 << i;
+        return (o.all & bit) || !(o.any & bit);
+      }).map(function(game) {
+        return (o.all & (1 << bitOf[game.id])) ? game.home : game.away;
+      }),
+      survivors: entries.filter(function(p) { return p.status === 'alive'; }).map(function(p) { return p.name; }).sort(),
+      eliminated: entries.filter(function(p) { return p.status !== 'alive'; }).map(function(p) {
+        return { name: p.name, canBuyBack: !!rules.buybackDayAfter(rs, p, day) };
+      }).sort(function(a, b) { return a.name.localeCompare(b.name); }),
+      pool: ended ? { reason: ended.reason, message: ended.message } : null
+    };
+  });
+
+  var settled = inPlay.every(function(p) { return p.results[day] !== 'pending'; });
+  var ended = settled ? outcome.detect(current, config, hypo, rs, registry) : null;
+  return {
+    day: day,
+    winners: winners,
+    entries: inPlay.length,
+    games: gameReport,
+    combinations: combinations,
+    tooMany: tooMany,
+    maxGames: MAX_GAMES,
+    scenarioCount: distinct.length,
+    scenarios: scenarios,
+    standings: inPlay.map(function(p) {
+      return { id: p.id, name: p.name, picks: p.picks[day], result: p.results[day], reprieve: (p.reprieves || {})[day] || null, status: p.status };
+    }).sort(function(a, b) {
+      return (b.status === 'alive') - (a.status === 'alive') || a.name.localeCompare(b.name);
+    }),
+    pool: ended ? { reason: ended.reason, message: ended.message } : null
+  };
+}
+
+module.exports = {
+  MAX_GAMES: MAX_GAMES,
+  checkWinners: checkWinners,
+  compute: compute
+};
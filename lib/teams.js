@@ -0,0 +1,207 @@
+/* ────────────────────────────────
+   Team registry
+   Slates name the same team in different ways: a First Four game is listed
+   as "Prairie View A&M/Lehigh" until it's played, and the winner may turn up
+   later as "Lehigh" or with different punctuation. teams.json gives every
+   team a canonical id (its normalized name) and a display name, and maps
+   other spellings to it as aliases:
+     { teams: { <id>: { name, aliases: [] } },
+       history: [{ at, action ('resolve' | 'rename' | 'merge'), from, to, games, picks }] }
+   Games, picks and the bracket always store display names. After any change
+   to the registry, canonicalize() rewrites them, so plain string
+   comparisons elsewhere (reuse checks, winner matching) stay correct.
+   pickHistory is left as it was — it's a record of what was submitted.
+──────────────────────────────── */
+
+function empty() {
+  return { teams: {}, history: [] };
+}
+
+// Canonical id for a name: case, spacing and punctuation don't matter
+function normalize(name) {
+  return String(name || '').toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9/ ]+/g, ' ')
+    .trim()
+    .replace(/\s*\/\s*/g, '/')
+    .replace(/\s+/g, '-');
+}
+
+// The teams in a First Four placeholder like "Team A/Team B", or null
+function placeholderParts(name) {
+  var parts = String(name || '').split('/').map(function(s) { return s.trim(); });
+  return parts.length === 2 && parts[0] && parts[1] ? parts : null;
+}
+
+function idOf(registry, name) {
+  var key = normalize(name);
+  if (registry.teams[key]) return key;
+  var ids = Object.keys(registry.teams);
+  for (var i = 0; i < ids.length; i++) {
+    var aliases = registry.teams[ids[i]].aliases;
+    for (var j = 0; j < aliases.length; j++) {
+      if (normalize(aliases[j]) === key) return ids[i];
+    }
+  }
+  return key;
+}
+
+// Display name for any spelling; names the registry doesn't know come back as given
+function displayName(registry, name) {
+  var team = registry.teams[idOf(registry, name)];
+  return team ? team.name : name;
+}
+
+function sameTeam(registry, a, b) {
+  return idOf(registry, a) === idOf(registry, b);
+}
+
+// The name a submitted team goes by: the slate's spelling if it's on the
+// slate (which covers unresolved placeholders), otherwise its display name
+function matchName(registry, name, slateNames) {
+  var found = (slateNames || []).find(function(n) { return sameTeam(registry, n, name); });
+  return found || displayName(registry, name);
+}
+
+// Add teams the registry hasn't seen. An unresolved placeholder isn't a
+// team of its own, so its two teams are added instead. Returns true if any were new.
+function register(registry, names) {
+  var added = false;
+  names.forEach(function(name) {
+    if (!name || typeof name !== 'string') return;
+    var parts = placeholderParts(name);
+    if (parts) {
+      if (!registry.teams[idOf(registry, name)]) added = register(registry, parts) || added;
+      return;
+    }
+    var id = idOf(registry, name);
+    if (registry.teams[id]) return;
+    registry.teams[id] = { name: name.trim(), aliases: [] };
+    added = true;
+  });
+  return added;
+}
+
+function addAlias(team, name) {
+  var key = normalize(name);
+  if (normalize(team.name) === key) return;
+  if (team.aliases.some(function(a) { return normalize(a) === key; })) return;
+  team.aliases.push(name);
+}
+
+function record(registry, action, from, to) {
+  var entry = { at: new Date().toISOString(), action: action, from: from, to: to, games: 0, picks: 0 };
+  registry.history.push(entry);
+  return entry;
+}
+
+// Point a First Four placeholder at the team that won it.
+// Returns { error } or { entry } — the new history entry, null if nothing changed.
+function resolve(registry, placeholder, winner) {
+  if (typeof winner !== 'string' || !winner.trim()) return { error: 'Winner is required.' };
+  var parts = placeholderParts(placeholder);
+  if (!parts) return { error: '"' + placeholder + '" is not a First Four placeholder (expected "Team A/Team B").' };
+  var part = parts.find(function(p) { return sameTeam(registry, p, winner); });
+  if (!part) return { error: winner + ' is not one of ' + parts.join(' and ') + '.' };
+  var resolvedTo = registry.teams[idOf(registry, placeholder)];
+  if (resolvedTo) {
+    if (sameTeam(registry, resolvedTo.name, part)) return { entry: null };
+    return { error: '"' + placeholder + '" was already resolved to ' + resolvedTo.name + '. Rename or merge teams to correct it.' };
+  }
+  register(registry, [part]);
+  addAlias(registry.teams[idOf(registry, part)], placeholder);
+  return { entry: record(registry, 'resolve', placeholder, displayName(registry, part)) };
+}
+
+// Rename a team, or merge it into another team if the new name is one.
+// The old names become aliases. Returns { error } or { entry } like resolve.
+function rename(registry, from, to) {
+  to = String(to || '').trim();
+  if (typeof from !== 'string' || !from.trim()) return { error: 'Team to rename is required.' };
+  if (!to) return { error: 'New name is required.' };
+  if (placeholderParts(from) || placeholderParts(to)) return { error: 'Resolve First Four placeholders to their winner instead.' };
+  register(registry, [from]);
+  var fromId = idOf(registry, from);
+  var team = registry.teams[fromId];
+  var toId = idOf(registry, to);
+  var oldName = team.name;
+
+  if (toId !== fromId && registry.teams[toId]) {
+    var into = registry.teams[toId];
+    addAlias(into, team.name);
+    team.aliases.forEach(function(a) { addAlias(into, a); });
+    delete registry.teams[fromId];
+    return { entry: record(registry, 'merge', oldName, into.name) };
+  }
+  if (oldName === to) return { entry: null };
+  delete registry.teams[fromId];
+  team.name = to;
+  addAlias(team, oldName);
+  team.aliases = team.aliases.filter(function(a) { return normalize(a) !== toId; });
+  registry.teams[toId] = team;
+  return { entry: record(registry, 'rename', oldName, to) };
+}
+
+// Rewrite team names in games, picks and the bracket to their display names.
+// Mutates the data; returns { games, picks } counts of what changed.
+function canonicalize(registry, data) {
+  var counts = { games: 0, picks: 0 };
+  var fix = function(name) { return name ? displayName(registry, name) : name; };
+
+  Object.keys(data.games || {}).forEach(function(day) {
+    (data.games[day] || []).forEach(function(g) {
+      var home = fix(g.home), away = fix(g.away), winner = fix(g.winner);
+      if (home === g.home && away === g.away && winner === g.winner) return;
+      g.home = home; g.away = away; g.winner = winner;
+      counts.games += 1;
+    });
+  });
+
+  (data.players || []).forEach(function(p) {
+    Object.keys(p.picks || {}).forEach(function(day) {
+      p.picks[day] = p.picks[day].map(function(t) {
+        var name = t === 'None' ? t : fix(t);
+        if (name !== t) counts.picks += 1;
+        return name;
+      });
+    });
+  });
+
+  if (data.bracket) {
+    data.bracket.teams.forEach(function(t) { t.name = fix(t.name); });
+    var winners = data.bracket.firstFourWinners || {};
+    Object.keys(winners).forEach(function(slot) { winners[slot] = fix(winners[slot]); });
+  }
+  return counts;
+}
+
+// Every unresolved placeholder on the slate, with the day it's played
+function placeholders(registry, games) {
+  var found = [];
+  Object.keys(games).forEach(function(day) {
+    (games[day] || []).forEach(function(g) {
+      [g.home, g.away].forEach(function(name) {
+        var parts = placeholderParts(name);
+        if (parts && !registry.teams[idOf(registry, name)]) {
+          found.push({ name: name, teams: parts, day: day });
+        }
+      });
+    });
+  });
+  return found;
+}
+
+module.exports = {
+  empty: empty,
+  normalize: normalize,
+  placeholderParts: placeholderParts,
+  idOf: idOf,
+  displayName: displayName,
+  sameTeam: sameTeam,
+  matchName: matchName,
+  register: register,
+  resolve: resolve,
+  rename: rename,
+  canonicalize: canonicalize,
+  placeholders: placeholders
+};
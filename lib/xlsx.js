@@ -0,0 +1,187 @@
+/* ────────────────────────────────
+   XLSX
+   Just enough of the Office Open XML format to hand the admin a workbook
+   that opens in Excel, Numbers and Google Sheets. build() takes sheets as
+     { name, columns: [{ width, money }], rows: [[string | number]] }
+   The first row is the header: bold and frozen. Numbers in money columns
+   are formatted as dollars. Strings are written inline, so there's no
+   shared string table, and the zip container is written here too.
+──────────────────────────────── */
+const zlib = require('zlib');
+
+const CRC_TABLE = (function() {
+  var table = [];
+  for (var n = 0; n < 256; n++) {
+    var c = n;
+    for (var k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table.push(c >>> 0);
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  var crc = 0xFFFFFFFF;
+  for (var i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// A zip archive of { name, data (string) } files, deflated
+function zip(files) {
+  var locals = [];
+  var central = [];
+  var offset = 0;
+  files.forEach(function(file) {
+    var name = Buffer.from(file.name, 'utf8');
+    var data = Buffer.from(file.data, 'utf8');
+    var packed = zlib.deflateRawSync(data);
+    var crc = crc32(data);
+
+    var local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034B50, 0);
+    local.writeUInt16LE(20, 4);            // version needed
+    local.writeUInt16LE(0x0800, 6);        // UTF-8 names
+    local.writeUInt16LE(8, 8);             // deflate
+    local.writeUInt32LE(0, 10);            // time, date
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, name, packed);
+
+    var entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014B50, 0);
+    entry.writeUInt16LE(20, 4);            // version made by
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(0, 12);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(packed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);       // extra, comment, disk, attributes stay 0
+    central.push(entry, name);
+
+    offset += local.length + name.length + packed.length;
+  });
+
+  var directory = Buffer.concat(central);
+  var end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat(locals.concat([directory, end]));
+}
+
+function escape(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// A, B, ... Z, AA, AB, ...
+function columnName(index) {
+  var name = '';
+  for (var n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + (n - 1) % 26) + name;
+  }
+  return name;
+}
+
+// Style indexes in STYLES below
+const PLAIN = 0, HEADER = 1, MONEY = 2;
+
+const STYLES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="&quot;$&quot;#,##0.00"/></numFmts>' +
+  '<fonts count="2"><font><sz val="10"/><name val="Arial"/></font><font><b/><sz val="10"/><name val="Arial"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs></styleSheet>';
+
+function sheetXML(sheet) {
+  var columns = sheet.columns || [];
+  var cols = columns.map(function(c, i) {
+    return '<col min="' + (i + 1) + '" max="' + (i + 1) + '" width="' + (c.width || 12.63) + '" customWidth="1"/>';
+  }).join('');
+  var rows = sheet.rows.map(function(row, r) {
+    var cells = row.map(function(value, c) {
+      if (value === null || value === undefined || value === '') return '';
+      var ref = columnName(c) + (r + 1);
+      if (typeof value === 'number') {
+        var style = r > 0 && columns[c] && columns[c].money ? MONEY : PLAIN;
+        return '<c r="' + ref + '"' + (style ? ' s="' + style + '"' : '') + '><v>' + value + '</v></c>';
+      }
+      return '<c r="' + ref + '" t="inlineStr"' + (r === 0 ? ' s="' + HEADER + '"' : '') +
+        '><is><t xml:space="preserve">' + escape(value) + '</t></is></c>';
+    }).join('');
+    return '<row r="' + (r + 1) + '">' + cells + '</row>';
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    '<sheetFormatPr defaultRowHeight="12.75"/>' +
+    (cols ? '<cols>' + cols + '</cols>' : '') +
+    '<sheetData>' + rows + '</sheetData></worksheet>';
+}
+
+// The workbook as a Buffer, ready to send as a .xlsx file
+function build(sheets) {
+  var files = [{
+    name: '[Content_Types].xml',
+    data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets.map(function(s, i) {
+        return '<Override PartName="/xl/worksheets/sheet' + (i + 1) + '.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>';
+      }).join('') +
+      '</Types>'
+  }, {
+    name: '_rels/.rels',
+    data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>'
+  }, {
+    name: 'xl/workbook.xml',
+    data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+      '<sheets>' + sheets.map(function(s, i) {
+        // Sheet names are capped at 31 characters and can't contain []:*?/\
+        var name = String(s.name).replace(/[\[\]:*?\/\\]/g, ' ').slice(0, 31);
+        return '<sheet name="' + escape(name) + '" sheetId="' + (i + 1) + '" r:id="rId' + (i + 1) + '"/>';
+      }).join('') + '</sheets></workbook>'
+  }, {
+    name: 'xl/_rels/workbook.xml.rels',
+    data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheets.map(function(s, i) {
+        return '<Relationship Id="rId' + (i + 1) + '" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet' + (i + 1) + '.xml"/>';
+      }).join('') +
+      '<Relationship Id="rId' + (sheets.length + 1) + '" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '</Relationships>'
+  }, {
+    name: 'xl/styles.xml',
+    data: STYLES
+  }];
+  sheets.forEach(function(s, i) {
+    files.push({ name: 'xl/worksheets/sheet' + (i + 1) + '.xml', data: sheetXML(s) });
+  });
+  return zip(files);
+}
+
+module.exports = {
+  build: build
+};
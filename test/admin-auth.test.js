@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { startServer, ADMIN_PASSWORD } = require('./helpers');
+
+// Every file under dir, as text
+function readAll(dir) {
+  return fs.readdirSync(dir, { recursive: true }).map(function(name) {
+    var file = path.join(dir, name);
+    return fs.statSync(file).isFile() ? fs.readFileSync(file, 'utf8') : '';
+  }).join('\n');
+}
+
+test('admin routes need a session from logging in, and logging out ends it', async function() {
+  var server = await startServer();
+  try {
+    assert.strictEqual((await server.get('/api/admin/outbox')).status, 401);
+    assert.strictEqual((await server.post('/api/admin/login', { password: 'wrong password' })).status, 401);
+    assert.strictEqual((await server.get('/api/admin/session')).body.ok, false);
+
+    var login = await server.login();
+    assert.strictEqual(login.status, 200);
+    assert.match(login.headers.get('set-cookie'), /HttpOnly/i);
+    assert.strictEqual((await server.get('/api/admin/session')).body.ok, true);
+    assert.strictEqual((await server.get('/api/admin/outbox')).status, 200);
+
+    await server.post('/api/admin/logout');
+    assert.strictEqual((await server.get('/api/admin/outbox')).status, 401);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('the password is stored hashed and can be changed from a session', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    assert.strictEqual(readAll(server.dataDir).indexOf(ADMIN_PASSWORD), -1);
+
+    var wrong = await server.post('/api/admin/password', { current: 'wrong password', next: 'a new password' });
+    assert.strictEqual(wrong.status, 401);
+    var short = await server.post('/api/admin/password', { current: ADMIN_PASSWORD, next: 'short' });
+    assert.strictEqual(short.status, 400);
+    var changed = await server.post('/api/admin/password', { current: ADMIN_PASSWORD, next: 'a new password' });
+    assert.strictEqual(changed.status, 200, JSON.stringify(changed.body));
+    assert.strictEqual(readAll(server.dataDir).indexOf('a new password'), -1);
+
+    await server.post('/api/admin/logout');
+    assert.strictEqual((await server.login()).status, 401);
+    assert.strictEqual((await server.post('/api/admin/login', { password: 'a new password' })).status, 200);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const bracket = require('../lib/bracket');
+const { game } = require('./helpers');
+
+// A full field: four regions, 16 seeds each, plus a First Four at East 16
+function field() {
+  var regions = ['East', 'West', 'South', 'Midwest'];
+  var teams = [];
+  regions.forEach(function(region) {
+    for (var seed = 1; seed <= 16; seed++) teams.push({ name: region + ' ' + seed, seed: seed, region: region });
+  });
+  teams.push({ name: 'East 16b', seed: 16, region: 'East' });
+  return { regions: regions, teams: teams };
+}
+
+test('a hand-entered game for a slot becomes the slot game instead of a duplicate', () => {
+  // Entered the other way round from the bracket, and under way
+  var hand = Object.assign(game(1, 'East 9', 'East 8', { tipoff: -30 }), { homeScore: 35, awayScore: 40, status: 'in_progress' });
+  var games = { thursday_r1: [hand, game(3, 'Nowhere', 'Else')] };
+
+  bracket.syncGames(field(), games);
+
+  var thursday = games.thursday_r1;
+  var matchups = thursday.filter(g => [g.home, g.away].sort().join() === 'East 8,East 9');
+  assert.strictEqual(matchups.length, 1);
+  var adopted = matchups[0];
+  assert.strictEqual(adopted.id, 'R64-East-1');
+  assert.strictEqual(adopted.slot, 'R64-East-1');
+  assert.strictEqual(adopted.home, 'East 8');
+  assert.strictEqual(adopted.homeScore, 40);
+  assert.strictEqual(adopted.awayScore, 35);
+  assert.strictEqual(adopted.status, 'in_progress');
+  assert.strictEqual(adopted.tipoff, hand.tipoff);
+  // The other hand-entered game stays, and the First Four game is still TBD
+  assert.ok(thursday.some(g => g.id === 3 && !g.slot));
+  assert.strictEqual(thursday.filter(g => g.slot).length, 16);
+  assert.strictEqual(thursday.length, 17);
+});
@@ -0,0 +1,13 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const csv = require('../lib/csv');
+
+test('cells a spreadsheet would run as formulas are written as text', () => {
+  var text = csv.stringify([
+    ['=HYPERLINK("http://x","y")', '+1', '-cmd', '@SUM(A1)', '\tTab', '\rCR'],
+    ['Ann', -5, 12, 'a-b', 'x=1', null]
+  ]);
+  var rows = csv.parse(text);
+  assert.deepStrictEqual(rows[0], ["'=HYPERLINK(\"http://x\",\"y\")", "'+1", "'-cmd", "'@SUM(A1)", "'\tTab", "'\rCR"]);
+  assert.deepStrictEqual(rows[1], ['Ann', '-5', '12', 'a-b', 'x=1', '']);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, game } = require('./helpers');
+
+test('only an entry\'s token can change its picks or buy it back', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+      game(1, 'Duke', 'Vermont', { tipoff: 60 }), game(2, 'Kansas', 'Howard', { tipoff: 60 })
+    ] });
+    var entered = await server.post('/api/picks', { day: 'thursday_r1', name: 'Ann', email: 'ann@example.com', picks: ['Duke', 'Kansas'] });
+    assert.strictEqual(entered.status, 200, JSON.stringify(entered.body));
+    var token = entered.body.token;
+    assert.ok(token);
+
+    // A name alone neither changes the entry nor starts a second one
+    var byName = await server.post('/api/picks', { day: 'thursday_r1', name: 'ann', email: 'x@example.com', picks: ['Vermont', 'Howard'] });
+    assert.strictEqual(byName.status, 400);
+    var guessed = await server.post('/api/picks', { day: 'thursday_r1', token: 'not-a-token', picks: ['Vermont', 'Howard'] });
+    assert.strictEqual(guessed.status, 401);
+    assert.strictEqual((await server.post('/api/buyback', { name: 'Ann' })).status, 400);
+    assert.strictEqual((await server.post('/api/buyback', { token: 'not-a-token' })).status, 401);
+
+    var revised = await server.post('/api/picks', { day: 'thursday_r1', token: token, picks: ['Duke', 'Howard'] });
+    assert.strictEqual(revised.status, 200, JSON.stringify(revised.body));
+    assert.strictEqual(revised.body.token, undefined);
+    assert.strictEqual((await server.post('/api/entry', { token: token })).body.name, 'Ann');
+  } finally {
+    await server.stop();
+  }
+});
+
+test('a reissued token replaces the old one, which stops working', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+      game(1, 'Duke', 'Vermont', { tipoff: 60 }), game(2, 'Kansas', 'Howard', { tipoff: 60 })
+    ] });
+    var oldToken = (await server.post('/api/picks', { day: 'thursday_r1', name: 'Ann', email: 'ann@example.com', picks: ['Duke', 'Kansas'] })).body.token;
+    var ann = (await server.get('/api/state')).body.players.find(function(p) { return p.name === 'Ann'; });
+    assert.strictEqual(ann.entryToken, undefined);
+
+    var reissued = await server.post('/api/admin/reissue-token', { playerId: ann.id });
+    assert.strictEqual(reissued.status, 200, JSON.stringify(reissued.body));
+    assert.notStrictEqual(reissued.body.token, oldToken);
+
+    assert.strictEqual((await server.post('/api/entry', { token: oldToken })).status, 404);
+    assert.strictEqual((await server.post('/api/picks', { day: 'thursday_r1', token: oldToken, picks: ['Duke', 'Howard'] })).status, 401);
+    var revised = await server.post('/api/picks', { day: 'thursday_r1', token: reissued.body.token, picks: ['Duke', 'Howard'] });
+    assert.strictEqual(revised.status, 200, JSON.stringify(revised.body));
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, game } = require('./helpers');
+
+function minutesFromNow(minutes) {
+  return new Date(Date.now() + minutes * 60000).toISOString();
+}
+
+test('form responses made before a closed day\'s deadline are imported', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+      game(1, 'Duke', 'Vermont', { tipoff: 60 }), game(2, 'Kansas', 'Howard', { tipoff: 60 })
+    ] });
+    for (var name of ['Ann', 'Bob']) {
+      var entry = await server.post('/api/picks', { day: 'thursday_r1', name: name, email: name.toLowerCase() + '@example.com', picks: ['Duke', 'Kansas'] });
+      assert.strictEqual(entry.status, 200, JSON.stringify(entry.body));
+    }
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+      game(1, 'Duke', 'Vermont', { tipoff: -300, winner: 'Duke' }), game(2, 'Kansas', 'Howard', { tipoff: -300, winner: 'Kansas' })
+    ] });
+    await server.get('/api/state'); // locks Thursday
+
+    // Friday locks at its first tip-off with Bob's form response not yet imported
+    await server.post('/api/admin/games', { day: 'friday_r1', games: [
+      game(3, 'Houston', 'Akron', { tipoff: -30 }), game(4, 'Gonzaga', 'Grambling', { tipoff: -30 })
+    ] });
+    var state = (await server.get('/api/state')).body;
+    assert.ok(state.config.closedDays.indexOf('friday_r1') !== -1);
+    assert.strictEqual(state.players.find(p => p.name === 'Bob').status, 'eliminated');
+
+    var sheet = 'Timestamp,Name,Email,Day,Picks\r\n' +
+      minutesFromNow(-45) + ',Bob,bob@example.com,Friday Round 1,"Houston, Gonzaga"\r\n' +
+      minutesFromNow(-10) + ',Ann,ann@example.com,Friday Round 1,"Houston, Gonzaga"\r\n';
+    var imported = await server.post('/api/admin/import/forms', { csv: sheet, commit: true });
+    assert.strictEqual(imported.status, 200, JSON.stringify(imported.body));
+    assert.strictEqual(imported.body.rows[0].error, null);
+    assert.strictEqual(imported.body.rows[0].action, 'picks');
+    assert.match(imported.body.rows[1].error, /after the friday r1 deadline/);
+
+    state = (await server.get('/api/state')).body;
+    var bob = state.players.find(p => p.name === 'Bob');
+    assert.deepStrictEqual(bob.picks.friday_r1, ['Houston', 'Gonzaga']);
+    assert.strictEqual((bob.noShows || {}).friday_r1, undefined);
+    assert.strictEqual(bob.status, 'alive');
+  } finally {
+    await server.stop();
+  }
+});
+
+test('a form response from before tip-off is imported whether its games are under way or over', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    var slate = function(extra) {
+      return [
+        Object.assign(game(1, 'Duke', 'Vermont', { tipoff: -60 }), extra('Duke')),
+        Object.assign(game(2, 'Kansas', 'Howard', { tipoff: -60 }), extra('Kansas'))
+      ];
+    };
+    var sheet = 'Timestamp,Name,Email,Day,Picks\r\n' +
+      minutesFromNow(-90) + ',Ann,ann@example.com,Thursday Round 1,"Duke, Kansas"\r\n';
+
+    // Under way when the responses are imported
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: slate(() => ({ status: 'in_progress', homeScore: 30, awayScore: 20 })) });
+    var preview = await server.post('/api/admin/import/forms', { csv: sheet });
+    assert.strictEqual(preview.body.rows[0].error, null);
+
+    // Over by the time they're imported
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: slate(winner => ({ status: 'final', final: true, winner: winner, homeScore: 70, awayScore: 60 })) });
+    var imported = await server.post('/api/admin/import/forms', { csv: sheet, commit: true });
+    assert.strictEqual(imported.status, 200, JSON.stringify(imported.body));
+    assert.strictEqual(imported.body.rows[0].action, 'new');
+    var ann = (await server.get('/api/state')).body.players.find(p => p.name === 'Ann');
+    assert.deepStrictEqual(ann.picks.thursday_r1, ['Duke', 'Kansas']);
+    assert.strictEqual(ann.results.thursday_r1, 'win');
+  } finally {
+    await server.stop();
+  }
+});
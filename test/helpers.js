@@ -0,0 +1,106 @@
+/* ────────────────────────────────
+   Test helpers
+   startServer() runs app.js on a free port against a fresh temp DATA_DIR
+   and resolves once it's listening. The client it returns keeps the admin
+   session cookie between calls:
+     var server = await startServer({ env: { ... } });
+     await server.login();
+     var res = await server.post('/api/admin/games', { day, games });
+     // res.status, res.body (parsed JSON, or text)
+     await server.stop();
+──────────────────────────────── */
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_PASSWORD = 'testpass123';
+
+function freePort() {
+  return new Promise(function(resolve, reject) {
+    var probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, function() {
+      var port = probe.address().port;
+      probe.close(function() { resolve(port); });
+    });
+  });
+}
+
+async function startServer(options) {
+  options = options || {};
+  var port = await freePort();
+  var dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'survivorpool-test-'));
+  var child = spawn(process.execPath, [path.join(__dirname, '..', 'app.js')], {
+    env: Object.assign({}, process.env, { PORT: String(port), DATA_DIR: dataDir, ADMIN_PASSWORD: ADMIN_PASSWORD }, options.env),
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  var log = '';
+  await new Promise(function(resolve, reject) {
+    var timer = setTimeout(function() { reject(new Error('Server did not start:\n' + log)); }, 10000);
+    child.stdout.on('data', function(chunk) {
+      log += chunk;
+      if (log.indexOf('Server running') !== -1) { clearTimeout(timer); resolve(); }
+    });
+    child.stderr.on('data', function(chunk) { log += chunk; });
+    child.on('exit', function(code) { clearTimeout(timer); reject(new Error('Server exited with ' + code + ':\n' + log)); });
+  });
+
+  var base = 'http://localhost:' + port;
+  var cookie = '';
+  async function request(method, url, body, headers) {
+    var res = await fetch(base + url, {
+      method: method,
+      headers: Object.assign({ 'Content-Type': 'application/json', Cookie: cookie }, headers),
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    var setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    var text = await res.text();
+    var parsed;
+    try { parsed = JSON.parse(text); } catch (e) { parsed = text; }
+    return { status: res.status, headers: res.headers, body: parsed };
+  }
+
+  return {
+    url: base,
+    dataDir: dataDir,
+    log: function() { return log; },
+    get: function(url, headers) { return request('GET', url, undefined, headers); },
+    post: function(url, body, headers) { return request('POST', url, body, headers); },
+    login: function() { return request('POST', '/api/admin/login', { password: ADMIN_PASSWORD }); },
+    stop: function() {
+      return new Promise(function(resolve) {
+        child.removeAllListeners('exit');
+        child.on('exit', function() {
+          fs.rmSync(dataDir, { recursive: true, force: true });
+          resolve();
+        });
+        child.kill();
+      });
+    }
+  };
+}
+
+// A game for /api/admin/games; tipoff is minutes from now (negative: already tipped off)
+function game(id, home, away, extra) {
+  extra = extra || {};
+  var g = {
+    id: id, home: home, away: away, homeSeed: extra.homeSeed || null, awaySeed: extra.awaySeed || null,
+    homeScore: null, awayScore: null, winner: null, final: false,
+    tipoff: extra.tipoff === undefined ? null : new Date(Date.now() + extra.tipoff * 60000).toISOString()
+  };
+  if (extra.winner) {
+    g.winner = extra.winner;
+    g.final = true;
+    g.status = 'final';
+  }
+  return g;
+}
+
+module.exports = {
+  ADMIN_PASSWORD: ADMIN_PASSWORD,
+  startServer: startServer,
+  game: game
+};
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+test('imported games get the same checks as games saved by the admin', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    var bad = await server.post('/api/admin/import', { players: [], games: { thursday_r1: [
+      { id: 1, home: 'Duke', away: 'Vermont', homeScore: null, awayScore: null, final: true, winner: null }
+    ] } });
+    assert.strictEqual(bad.status, 400);
+    assert.match(bad.body.error, /Duke vs Vermont is final but has no winner/);
+    var unknown = await server.post('/api/admin/import', { games: { someday: [] } });
+    assert.strictEqual(unknown.status, 400);
+
+    var good = await server.post('/api/admin/import', { games: { thursday_r1: [
+      { id: 1, home: 'Duke', away: 'Vermont', homeScore: 80, awayScore: 60, final: true, winner: null },
+      { id: 2, home: 'Kansas', away: 'Howard', homeScore: null, awayScore: null, final: false, winner: null }
+    ] } });
+    assert.strictEqual(good.status, 200, JSON.stringify(good.body));
+    var games = (await server.get('/api/state')).body.games.thursday_r1;
+    assert.strictEqual(games[0].status, 'final');
+    assert.strictEqual(games[0].winner, 'Duke');
+    assert.strictEqual(games[1].status, 'scheduled');
+  } finally {
+    await server.stop();
+  }
+});
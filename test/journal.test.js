@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, game } = require('./helpers');
+
+test('the journal keeps only what each change touched, and restores through it', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+      game(1, 'Duke', 'Vermont', { tipoff: 60 }), game(2, 'Kansas', 'Howard', { tipoff: 60 })
+    ] });
+    for (var name of ['Ann', 'Bob', 'Cal']) {
+      await server.post('/api/picks', { day: 'thursday_r1', name: name, email: name.toLowerCase() + '@example.com', picks: ['Duke', 'Kansas'] });
+    }
+    var before = (await server.get('/api/state')).body.players.map(p => p.name);
+    var history = (await server.get('/api/admin/history')).body.entries;
+    var mark = history[0].seq;
+
+    // One more entry: only Dee is stored, not the whole players list
+    await server.post('/api/picks', { day: 'thursday_r1', name: 'Dee', email: 'dee@example.com', picks: ['Duke', 'Kansas'] });
+    history = (await server.get('/api/admin/history')).body.entries;
+    var added = (await server.get('/api/admin/history/' + history[0].seq)).body;
+    var players = added.files['players.json'];
+    assert.deepStrictEqual(players.before, []);
+    assert.deepStrictEqual(players.after.map(p => p.name), ['Dee']);
+
+    // Deleting an entry in the middle, then restoring, puts it back in place
+    var bob = (await server.get('/api/state')).body.players.find(p => p.name === 'Bob');
+    await server.post('/api/admin/delete-player', { playerId: bob.id });
+    var restored = await server.post('/api/admin/history/restore', { seq: mark });
+    assert.strictEqual(restored.status, 200, JSON.stringify(restored.body));
+    var after = (await server.get('/api/state')).body.players.map(p => p.name);
+    assert.deepStrictEqual(after, before);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('importing pool data takes a snapshot first', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    var res = await server.post('/api/admin/import', { players: [] });
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    var history = (await server.get('/api/admin/history')).body.entries;
+    assert.ok(history.some(e => e.kind === 'snapshot' && e.label === 'Before import'));
+  } finally {
+    await server.stop();
+  }
+});
+
+test('reset takes a snapshot that brings the season back, and entries say who made them', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+      game(1, 'Duke', 'Vermont', { tipoff: 60 }), game(2, 'Kansas', 'Howard', { tipoff: 60 })
+    ] });
+    await server.post('/api/admin/logout');
+    var ann = await server.post('/api/picks', { day: 'thursday_r1', name: 'Ann', email: 'ann@example.com', picks: ['Duke', 'Kansas'] });
+    await server.post('/api/picks', { day: 'thursday_r1', token: ann.body.token, picks: ['Duke', 'Howard'] });
+    await server.login();
+
+    var history = (await server.get('/api/admin/history')).body.entries;
+    assert.deepStrictEqual(history.slice(0, 3).map(e => e.actor), ['Ann', 'Ann', 'admin']);
+
+    var reset = await server.post('/api/admin/reset');
+    assert.strictEqual(reset.status, 200, JSON.stringify(reset.body));
+    assert.deepStrictEqual((await server.get('/api/state')).body.players, []);
+
+    history = (await server.get('/api/admin/history')).body.entries;
+    var snapshot = history.find(e => e.kind === 'snapshot' && e.label === 'Before reset');
+    assert.ok(snapshot);
+    var saved = (await server.get('/api/admin/history/' + snapshot.seq)).body;
+    assert.strictEqual(saved.files['config.json'].adminAuth, '(hidden)');
+
+    assert.strictEqual((await server.post('/api/admin/history/restore', { seq: 99999 })).status, 404);
+    var restored = await server.post('/api/admin/history/restore', { seq: snapshot.seq });
+    assert.strictEqual(restored.status, 200, JSON.stringify(restored.body));
+    var state = (await server.get('/api/state')).body;
+    assert.deepStrictEqual(state.players.map(p => p.picks.thursday_r1), [['Duke', 'Howard']]);
+    assert.strictEqual(state.games.thursday_r1.length, 2);
+    // The old entry link works again
+    assert.strictEqual((await server.post('/api/entry', { token: ann.body.token })).body.name, 'Ann');
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, game } = require('./helpers');
+
+test('locking an unknown day is rejected', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    var res = await server.post('/api/admin/lock', { day: 'bogus', action: 'lock' });
+    assert.strictEqual(res.status, 400);
+    assert.match(res.body.error, /Unknown day: bogus/);
+    var state = (await server.get('/api/state')).body;
+    assert.strictEqual(state.config.closedDays.indexOf('bogus'), -1);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('unlocking a day takes back what the lock did to players who hadn\'t picked', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+      game(1, 'Duke', 'Vermont', { tipoff: 60 }), game(2, 'Kansas', 'Howard', { tipoff: 60 })
+    ] });
+    var ann = await server.post('/api/picks', { day: 'thursday_r1', name: 'Ann', email: 'ann@example.com', picks: ['Duke', 'Kansas'] });
+    var bob = await server.post('/api/picks', { day: 'thursday_r1', name: 'Bob', email: 'bob@example.com', picks: ['Duke', 'Kansas'] });
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+      game(1, 'Duke', 'Vermont', { tipoff: -120, winner: 'Duke' }), game(2, 'Kansas', 'Howard', { tipoff: -120, winner: 'Kansas' })
+    ] });
+    await server.post('/api/admin/lock', { day: 'thursday_r1', action: 'lock' });
+    await server.post('/api/admin/games', { day: 'friday_r1', games: [
+      game(3, 'Houston', 'Akron', { tipoff: 120 }), game(4, 'Gonzaga', 'Grambling', { tipoff: 120 })
+    ] });
+
+    // Bob hasn't picked when Friday is locked by hand, so he's out
+    var locked = await server.post('/api/admin/lock', { day: 'friday_r1', action: 'lock' });
+    assert.strictEqual(locked.body.noShows.length, 2);
+    var players = (await server.get('/api/state')).body.players;
+    assert.strictEqual(players.find(p => p.name === 'Bob').status, 'eliminated');
+
+    var unlocked = await server.post('/api/admin/lock', { day: 'friday_r1', action: 'unlock' });
+    assert.strictEqual(unlocked.status, 200);
+    players = (await server.get('/api/state')).body.players;
+    var bobNow = players.find(p => p.name === 'Bob');
+    assert.strictEqual(bobNow.status, 'alive');
+    assert.strictEqual((bobNow.noShows || {}).friday_r1, undefined);
+    assert.strictEqual(bobNow.results.friday_r1, undefined);
+
+    var picked = await server.post('/api/picks', { day: 'friday_r1', token: bob.body.token, picks: ['Houston', 'Gonzaga'] });
+    assert.strictEqual(picked.status, 200, JSON.stringify(picked.body));
+    assert.ok(ann.body.token);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('unlocking a day takes back fallback picks the lock made', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    await server.post('/api/admin/rules', { ruleSet: { noShow: 'auto-pick' } });
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+      game(1, 'Duke', 'Vermont', { homeSeed: 1, awaySeed: 16, tipoff: 60 }), game(2, 'Kansas', 'Howard', { homeSeed: 2, awaySeed: 15, tipoff: 60 }),
+      game(3, 'Purdue', 'Yale', { homeSeed: 3, awaySeed: 14, tipoff: 60 })
+    ] });
+    await server.post('/api/picks', { day: 'thursday_r1', name: 'Ann', email: 'ann@example.com', picks: ['Duke', 'Kansas'] });
+    await server.post('/api/picks', { day: 'thursday_r1', name: 'Bob', email: 'bob@example.com', picks: ['Duke', 'Purdue'] });
+    await server.post('/api/admin/lock', { day: 'thursday_r1', action: 'lock' });
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+      game(1, 'Duke', 'Vermont', { tipoff: -120, winner: 'Duke' }), game(2, 'Kansas', 'Howard', { tipoff: -120, winner: 'Kansas' }),
+      game(3, 'Purdue', 'Yale', { tipoff: -120, winner: 'Purdue' })
+    ] });
+    await server.post('/api/admin/games', { day: 'friday_r1', games: [
+      game(4, 'Houston', 'Akron', { homeSeed: 1, awaySeed: 16, tipoff: 120 }), game(5, 'Gonzaga', 'Grambling', { homeSeed: 2, awaySeed: 15, tipoff: 120 }),
+      game(6, 'Marquette', 'Vermont St', { homeSeed: 3, awaySeed: 14, tipoff: 120 })
+    ] });
+
+    await server.post('/api/admin/lock', { day: 'friday_r1', action: 'lock' });
+    var bob = (await server.get('/api/state')).body.players.find(p => p.name === 'Bob');
+    assert.strictEqual(bob.noShows.friday_r1.action, 'auto-picked');
+    assert.strictEqual(bob.picks.friday_r1.length, 2);
+
+    await server.post('/api/admin/lock', { day: 'friday_r1', action: 'unlock' });
+    bob = (await server.get('/api/state')).body.players.find(p => p.name === 'Bob');
+    assert.strictEqual(bob.picks.friday_r1, undefined);
+    assert.strictEqual((bob.noShows || {}).friday_r1, undefined);
+    assert.strictEqual(bob.status, 'alive');
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer } = require('./helpers');
+
+async function failLogins(server, address, times) {
+  var res;
+  for (var i = 0; i < times; i++) {
+    res = await server.post('/api/admin/login', { password: 'wrong password' }, { 'X-Forwarded-For': address });
+  }
+  return res;
+}
+
+test('behind a trusted proxy the lockout is per visitor address', async function() {
+  var server = await startServer({ env: { TRUST_PROXY: '1' } });
+  try {
+    assert.strictEqual((await failLogins(server, '203.0.113.7', 6)).status, 429);
+    assert.strictEqual((await failLogins(server, '198.51.100.2', 1)).status, 401);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('without TRUST_PROXY a forwarded address is ignored', async function() {
+  var server = await startServer();
+  try {
+    await failLogins(server, '203.0.113.7', 5);
+    assert.strictEqual((await failLogins(server, '198.51.100.2', 1)).status, 429);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('once locked out, even the right password is refused', async function() {
+  var server = await startServer();
+  try {
+    assert.strictEqual((await failLogins(server, '203.0.113.7', 5)).status, 401);
+    var res = await server.login();
+    assert.strictEqual(res.status, 429);
+    assert.match(res.body.error, /Try again in 15 minute/);
+    assert.strictEqual((await server.get('/api/admin/session')).body.ok, false);
+  } finally {
+    await server.stop();
+  }
+});
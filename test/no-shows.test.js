@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, game } = require('./helpers');
+
+// Thursday played and won by both entries, Friday slate open with seeds
+async function throughThursday(server) {
+  await server.post('/api/admin/rules', { ruleSet: { lockMode: 'game', noShow: 'auto-pick' } });
+  await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+    game(1, 'Duke', 'Vermont', { tipoff: 60 }), game(2, 'Kansas', 'Howard', { tipoff: 60 })
+  ] });
+  var ann = await server.post('/api/picks', { day: 'thursday_r1', name: 'Ann', email: 'ann@example.com', picks: ['Duke', 'Kansas'] });
+  var bob = await server.post('/api/picks', { day: 'thursday_r1', name: 'Bob', email: 'bob@example.com', picks: ['Duke', 'Kansas'] });
+  assert.strictEqual(ann.status, 200, JSON.stringify(ann.body));
+  assert.strictEqual(bob.status, 200, JSON.stringify(bob.body));
+  await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+    game(1, 'Duke', 'Vermont', { tipoff: -120, winner: 'Duke' }), game(2, 'Kansas', 'Howard', { tipoff: -120, winner: 'Kansas' })
+  ] });
+  await server.get('/api/state'); // auto-locks Thursday
+  return { ann: ann.body.token, bob: bob.body.token };
+}
+
+test('game lock mode auto-picks no-shows from games open at the first tip-off', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    var tokens = await throughThursday(server);
+    var friday = function(tipoffs) {
+      return [
+        game(3, 'Houston', 'Akron', { homeSeed: 1, awaySeed: 16, tipoff: tipoffs[0] }),
+        game(4, 'Gonzaga', 'Grambling', { homeSeed: 2, awaySeed: 15, tipoff: tipoffs[1] }),
+        game(5, 'Purdue', 'Yale', { homeSeed: 3, awaySeed: 14, tipoff: tipoffs[2] })
+      ];
+    };
+    await server.post('/api/admin/games', { day: 'friday_r1', games: friday([30, 60, 90]) });
+    var picked = await server.post('/api/picks', { day: 'friday_r1', token: tokens.ann, picks: ['Houston', 'Purdue'] });
+    assert.strictEqual(picked.status, 200, JSON.stringify(picked.body));
+
+    // Every game has tipped off: the day closes and Bob is a no-show
+    await server.post('/api/admin/games', { day: 'friday_r1', games: friday([-90, -60, -30]) });
+    var state = (await server.get('/api/state')).body;
+    assert.ok(state.config.closedDays.indexOf('friday_r1') !== -1);
+    var bob = state.players.find(function(p) { return p.name === 'Bob'; });
+    assert.strictEqual(bob.noShows.friday_r1.action, 'auto-picked');
+    assert.deepStrictEqual(bob.picks.friday_r1, ['Houston', 'Gonzaga']);
+    assert.strictEqual(bob.status, 'alive');
+  } finally {
+    await server.stop();
+  }
+});
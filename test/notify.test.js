@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const notify = require('../lib/notify');
+const { startServer, game } = require('./helpers');
+
+test('reminders give the deadline in the pool\'s time zone', () => {
+  var ctx = { poolId: 'main', poolName: 'Office 2026', baseUrl: 'http://localhost', timeZone: 'America/Chicago' };
+  var message = notify.reminderMessage(ctx, { id: 1, name: 'Ann', entryToken: 'abc' }, 'thursday_r1', '2026-03-19T16:15:00.000Z');
+  assert.match(message.text, /Picks lock at Thu, Mar 19, 11:15 AM CDT\./);
+});
+
+test('a pool\'s time zone must be one Intl knows', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    var bad = await server.post('/api/admin/pool', { timeZone: 'Mars/Olympus' });
+    assert.strictEqual(bad.status, 400);
+    var good = await server.post('/api/admin/pool', { timeZone: 'America/Denver' });
+    assert.strictEqual(good.status, 200, JSON.stringify(good.body));
+    assert.strictEqual(good.body.pool.timeZone, 'America/Denver');
+  } finally {
+    await server.stop();
+  }
+});
+
+test('a pick confirmation is sent once the picks are saved', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+      game(1, 'Duke', 'Vermont', { tipoff: 60 }), game(2, 'Kansas', 'Howard', { tipoff: 60 })
+    ] });
+    var picked = await server.post('/api/picks', { day: 'thursday_r1', name: 'Ann', email: 'ann@example.com', picks: ['Duke', 'Kansas'] });
+    assert.strictEqual(picked.status, 200, JSON.stringify(picked.body));
+
+    var outbox;
+    for (var i = 0; i < 20; i++) {
+      outbox = (await server.get('/api/admin/outbox')).body;
+      if (outbox.messages.every(function(m) { return m.status !== 'pending'; })) break;
+      await new Promise(function(resolve) { setTimeout(resolve, 50); });
+    }
+    assert.strictEqual(outbox.messages.length, 1);
+    assert.strictEqual(outbox.messages[0].kind, 'confirmation');
+    assert.strictEqual(outbox.messages[0].status, 'sent');
+  } finally {
+    await server.stop();
+  }
+});
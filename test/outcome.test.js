@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const outcome = require('../lib/outcome');
+const rules = require('../lib/rules');
+
+function player(id, status, results) {
+  return { id: id, name: id, status: status, picks: {}, results: results, buybacks: 0, totalSpent: 10 };
+}
+
+test('last player standing waits until the buyback window closes', () => {
+  var players = [
+    player('ann', 'alive', { thursday_r1: 'win' }),
+    player('bob', 'eliminated', { thursday_r1: 'loss' })
+  ];
+  var config = { currentDay: 'friday_r1', pickDay: 'friday_r1', closedDays: ['thursday_r1'] };
+  var rs = rules.ruleSet(config);
+
+  assert.strictEqual(outcome.detect(players, config, {}, rs), null);
+
+  config.closedDays.push('friday_r1');
+  var found = outcome.detect(players, config, {}, rs);
+  assert.strictEqual(found.reason, 'last-standing');
+  assert.deepStrictEqual(found.survivors.map(p => p.id), ['ann']);
+});
+
+test('last player standing is declared when nobody out can buy back', () => {
+  var players = [
+    player('ann', 'alive', { thursday_r1: 'win' }),
+    player('bob', 'eliminated', { thursday_r1: 'loss' })
+  ];
+  var config = { currentDay: 'friday_r1', pickDay: 'friday_r1', closedDays: ['thursday_r1'], ruleSet: { maxBuybacks: 0 } };
+
+  assert.strictEqual(outcome.detect(players, config, {}, rules.ruleSet(config)).reason, 'last-standing');
+});
+
+test('a team picked under an alias counts as used', () => {
+  var ann = player('ann', 'alive', { saturday_r2: 'win' });
+  ann.picks = { saturday_r2: ['UConn'] };
+  var bob = player('bob', 'alive', { saturday_r2: 'win' });
+  bob.picks = { saturday_r2: ['Connecticut'] };
+  var config = { currentDay: 'saturday_r2', pickDay: 'saturday_r2', closedDays: ['thursday_r1', 'friday_r1', 'saturday_r2'] };
+  var games = { sunday_r2: [{ id: 1, home: 'Connecticut', away: 'Marquette' }] };
+  var registry = { teams: { connecticut: { name: 'Connecticut', aliases: ['UConn'] }, marquette: { name: 'Marquette', aliases: [] } }, history: [] };
+
+  var found = outcome.detect([ann, bob], config, games, rules.ruleSet(config), registry);
+  assert.strictEqual(found.reason, 'forced-pick');
+  assert.match(found.message, /must pick Marquette\./);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, game } = require('./helpers');
+
+test('a payment with a date that doesn\'t parse is a 400, and nothing is recorded', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+      game(1, 'Duke', 'Vermont', { tipoff: 60 }), game(2, 'Kansas', 'Howard', { tipoff: 60 })
+    ] });
+    await server.post('/api/picks', { day: 'thursday_r1', name: 'Ann', email: 'ann@example.com', picks: ['Duke', 'Kansas'] });
+    var ann = (await server.get('/api/state')).body.players[0];
+
+    var bad = await server.post('/api/admin/payments', { playerId: ann.id, amount: 10, method: 'cash', date: 'next Tuesday-ish' });
+    assert.strictEqual(bad.status, 400);
+    assert.match(bad.body.error, /Invalid payment date/);
+
+    var good = await server.post('/api/admin/payments', { playerId: ann.id, amount: 10, method: 'cash', date: '2026-03-18' });
+    assert.strictEqual(good.status, 200, JSON.stringify(good.body));
+    assert.strictEqual(good.body.payment.date, '2026-03-18T00:00:00.000Z');
+    var undated = await server.post('/api/admin/payments', { playerId: ann.id, amount: 5, method: 'cash' });
+    assert.ok(!isNaN(Date.parse(undated.body.payment.date)));
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, game } = require('./helpers');
+
+test('players can change their picks until the day locks, and each change is kept', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+      game(1, 'Duke', 'Vermont', { tipoff: 60 }), game(2, 'Kansas', 'Howard', { tipoff: 60 })
+    ] });
+    var token = (await server.post('/api/picks', { day: 'thursday_r1', name: 'Ann', email: 'ann@example.com', picks: ['Duke', 'Kansas'] })).body.token;
+
+    var revised = await server.post('/api/picks', { day: 'thursday_r1', token: token, picks: ['Duke', 'Howard'] });
+    assert.strictEqual(revised.status, 200, JSON.stringify(revised.body));
+    assert.strictEqual(revised.body.revised, true);
+    // A change is checked like a first submission
+    assert.strictEqual((await server.post('/api/picks', { day: 'thursday_r1', token: token, picks: ['Duke'] })).status, 400);
+    assert.strictEqual((await server.post('/api/picks', { day: 'thursday_r1', token: token, picks: ['Duke', 'Duke'] })).status, 400);
+    assert.strictEqual((await server.post('/api/picks', { day: 'thursday_r1', token: token, picks: ['Duke', 'Gonzaga'] })).status, 400);
+    await server.post('/api/picks', { day: 'thursday_r1', token: token, picks: ['Vermont', 'Howard'] });
+
+    var ann = (await server.get('/api/state')).body.players[0];
+    assert.deepStrictEqual(ann.picks.thursday_r1, ['Vermont', 'Howard']);
+    assert.deepStrictEqual(ann.pickHistory.thursday_r1.map(function(h) { return h.picks.join(); }),
+      ['Duke,Kansas', 'Duke,Howard', 'Vermont,Howard']);
+    assert.ok(ann.pickHistory.thursday_r1.every(function(h) { return h.by === 'player' && h.at; }));
+
+    await server.post('/api/admin/lock', { day: 'thursday_r1', action: 'lock' });
+    var late = await server.post('/api/picks', { day: 'thursday_r1', token: token, picks: ['Duke', 'Kansas'] });
+    assert.strictEqual(late.status, 400);
+    assert.deepStrictEqual((await server.get('/api/state')).body.players[0].picks.thursday_r1, ['Vermont', 'Howard']);
+  } finally {
+    await server.stop();
+  }
+});
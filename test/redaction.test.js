@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, game } = require('./helpers');
+
+function byName(state, name) {
+  return state.players.find(function(p) { return p.name === name; });
+}
+
+test('picks for an open day show only to their own entry and the admin', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: [
+      game(1, 'Duke', 'Vermont', { tipoff: 60 }), game(2, 'Kansas', 'Howard', { tipoff: 60 })
+    ] });
+    var ann = await server.post('/api/picks', { day: 'thursday_r1', name: 'Ann', email: 'ann@example.com', picks: ['Duke', 'Kansas'] });
+    await server.post('/api/picks', { day: 'thursday_r1', name: 'Bob', email: 'bob@example.com', picks: ['Vermont', 'Howard'] });
+    assert.deepStrictEqual(byName((await server.get('/api/state')).body, 'Bob').picks.thursday_r1, ['Vermont', 'Howard']);
+    await server.post('/api/admin/logout');
+
+    var publicState = (await server.get('/api/state')).body;
+    var bob = byName(publicState, 'Bob');
+    assert.deepStrictEqual(bob.picks.thursday_r1, []);
+    assert.deepStrictEqual(bob.hiddenPicks, ['thursday_r1']);
+    assert.strictEqual(bob.pickHistory, undefined);
+    assert.strictEqual(bob.email, undefined);
+
+    var own = (await server.get('/api/state', { 'X-Entry-Tokens': ann.body.token })).body;
+    assert.deepStrictEqual(byName(own, 'Ann').picks.thursday_r1, ['Duke', 'Kansas']);
+    assert.deepStrictEqual(byName(own, 'Bob').picks.thursday_r1, []);
+
+    // Once the day locks, everyone sees everyone's picks
+    await server.login();
+    var locked = await server.post('/api/admin/lock', { day: 'thursday_r1', action: 'lock' });
+    assert.strictEqual(locked.status, 200, JSON.stringify(locked.body));
+    await server.post('/api/admin/logout');
+    bob = byName((await server.get('/api/state')).body, 'Bob');
+    assert.deepStrictEqual(bob.picks.thursday_r1, ['Vermont', 'Howard']);
+    assert.deepStrictEqual(bob.hiddenPicks, []);
+  } finally {
+    await server.stop();
+  }
+});
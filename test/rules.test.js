@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const rules = require('../lib/rules');
+const { game } = require('./helpers');
+
+function player(name, picks) {
+  return { id: name, name: name, picks: picks, results: {}, status: 'alive', buybacks: 0, totalSpent: 0 };
+}
+
+// Thursday's two games, with the winners given (or still to play)
+function thursday(duke, kansas) {
+  return [
+    game(1, 'Duke', 'Vermont', { winner: duke }),
+    game(2, 'Kansas', 'Howard', { winner: kansas })
+  ];
+}
+
+test('replaying picks gives each day\'s result, status and spend', () => {
+  var ann = player('Ann', { thursday_r1: ['Duke', 'Kansas'] });
+  var bob = player('Bob', { thursday_r1: ['Duke', 'Vermont'] });
+
+  rules.replayTournament({}, [ann, bob], { thursday_r1: thursday('Duke', 'Kansas') });
+  assert.strictEqual(ann.results.thursday_r1, 'win');
+  assert.strictEqual(ann.status, 'alive');
+  assert.strictEqual(ann.totalSpent, 25);
+  assert.strictEqual(bob.results.thursday_r1, 'loss');
+  assert.strictEqual(bob.status, 'eliminated');
+});
+
+test('a corrected result on an earlier day flows through to later days', () => {
+  var ann = player('Ann', { thursday_r1: ['Duke', 'Kansas'], friday_r1: ['Houston', 'Purdue'] });
+  var bob = player('Bob', { thursday_r1: ['Kansas', 'Vermont'], friday_r1: ['Houston', 'Purdue', 'Gonzaga', 'Iowa'] });
+  var config = {};
+  var games = {
+    thursday_r1: thursday('Duke', 'Kansas'),
+    friday_r1: [
+      game(3, 'Houston', 'Akron', { winner: 'Houston' }), game(4, 'Purdue', 'Yale', { winner: 'Purdue' }),
+      game(5, 'Gonzaga', 'McNeese', { winner: 'Gonzaga' }), game(6, 'Iowa', 'Drake', { winner: 'Iowa' })
+    ]
+  };
+
+  // Bob lost Thursday, so his Friday picks are a buyback
+  rules.replayTournament(config, [ann, bob], games);
+  assert.strictEqual(bob.results.thursday_r1, 'loss');
+  assert.deepStrictEqual(bob.boughtBackOn, ['friday_r1']);
+  assert.strictEqual(bob.buybacks, 1);
+  assert.strictEqual(bob.totalSpent, 50);
+  assert.strictEqual(bob.status, 'alive');
+
+  // Vermont actually won: now Ann is the one out, and Friday is her buyback
+  games.thursday_r1 = thursday('Vermont', 'Kansas');
+  var changed = rules.replayTournament(config, [ann, bob], games);
+  assert.strictEqual(changed, true);
+  assert.strictEqual(bob.results.thursday_r1, 'win');
+  assert.strictEqual(bob.buybacks, 0);
+  assert.strictEqual(bob.totalSpent, 25);
+  assert.strictEqual(ann.results.thursday_r1, 'loss');
+  assert.strictEqual(ann.buybacks, 1);
+  assert.strictEqual(ann.status, 'alive');
+  assert.strictEqual(rules.replayTournament(config, [ann, bob], games), false);
+});
+
+test('picks after a loss don\'t count once the buyback limit is reached', () => {
+  var ann = player('Ann', { thursday_r1: ['Duke', 'Kansas'] });
+  var bob = player('Bob', { thursday_r1: ['Duke', 'Vermont'], friday_r1: ['Houston', 'Purdue', 'Gonzaga', 'Iowa'] });
+  var config = { ruleSet: { maxBuybacks: 0 } };
+  var games = { thursday_r1: thursday('Duke', 'Kansas'), friday_r1: [game(3, 'Houston', 'Akron', { winner: 'Houston' })] };
+
+  rules.replayTournament(config, [ann, bob], games);
+  assert.strictEqual(bob.status, 'eliminated');
+  assert.strictEqual(bob.buybacks, 0);
+  assert.deepStrictEqual(bob.boughtBackOn, []);
+});
+
+test('a loss waits for someone to win the day before it eliminates', () => {
+  var ann = player('Ann', { thursday_r1: ['Duke', 'Kansas'] });
+  var bob = player('Bob', { thursday_r1: ['Vermont', 'Kansas'] });
+  var games = { thursday_r1: thursday('Duke', null) };
+
+  rules.replayTournament({}, [ann, bob], games);
+  assert.strictEqual(bob.results.thursday_r1, 'pending');
+  assert.strictEqual(bob.status, 'alive');
+
+  games.thursday_r1 = thursday('Duke', 'Kansas');
+  rules.replayTournament({}, [ann, bob], games);
+  assert.strictEqual(bob.results.thursday_r1, 'loss');
+  assert.strictEqual(bob.status, 'eliminated');
+});
+
+test('when nobody survives a day, everyone who played it is reprieved', () => {
+  var ann = player('Ann', { thursday_r1: ['Duke', 'Kansas'] });
+  var bob = player('Bob', { thursday_r1: ['Vermont', 'Kansas'] });
+
+  rules.replayTournament({}, [ann, bob], { thursday_r1: thursday('Duke', 'Howard') });
+  [ann, bob].forEach(function(p) {
+    assert.strictEqual(p.results.thursday_r1, 'survived');
+    assert.strictEqual(p.reprieves.thursday_r1, rules.REPRIEVE_EVERYONE_LOST);
+    assert.strictEqual(p.status, 'alive');
+  });
+});
+
+test('running out of teams only eliminates a player once someone else wins', () => {
+  var ann = player('Ann', { thursday_r1: ['Duke', 'Kansas'], friday_r1: ['Houston', 'Purdue'] });
+  var bob = player('Bob', { thursday_r1: ['Duke', 'Kansas'], friday_r1: ['None'] });
+  var games = {
+    thursday_r1: thursday('Duke', 'Kansas'),
+    friday_r1: [game(3, 'Houston', 'Akron', { winner: 'Akron' }), game(4, 'Purdue', 'Yale', { winner: 'Purdue' })]
+  };
+
+  rules.replayTournament({}, [ann, bob], games);
+  assert.strictEqual(bob.results.friday_r1, 'survived');
+  assert.strictEqual(bob.reprieves.friday_r1, rules.REPRIEVE_NOT_BEATEN);
+  assert.strictEqual(bob.status, 'alive');
+
+  games.friday_r1[0] = game(3, 'Houston', 'Akron', { winner: 'Houston' });
+  rules.replayTournament({}, [ann, bob], games);
+  assert.strictEqual(ann.results.friday_r1, 'win');
+  assert.strictEqual(bob.results.friday_r1, 'loss');
+  assert.strictEqual(bob.reprieves.friday_r1, undefined);
+  assert.strictEqual(bob.status, 'eliminated');
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const store = require('../lib/store');
+
+var hasSqlite = true;
+try { require('node:sqlite'); } catch (e) { hasSqlite = false; }
+
+// A fresh data directory, opened with the given backend
+function openTemp(backend) {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'survivorpool-store-'));
+  store.open(dir, { backend: backend });
+  return dir;
+}
+
+test('a transaction\'s writes land together, and its hooks run after them', () => {
+  var dir = openTemp('json');
+  try {
+    var a = path.join(dir, 'a.json');
+    var b = path.join(dir, 'pools', 'b.json');
+    var seen = null;
+    store.transaction(function() {
+      store.writeJSON(a, { n: 1 });
+      store.writeJSON(b, { n: 2 });
+      store.afterCommit(function() { seen = fs.existsSync(a) && fs.existsSync(b); });
+      assert.deepStrictEqual(store.readJSON(a), { n: 1 });
+      assert.strictEqual(fs.existsSync(a), false);
+      assert.strictEqual(seen, null);
+    });
+    assert.strictEqual(seen, true);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(b, 'utf-8')), { n: 2 });
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['a.json', 'pools']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('a transaction that throws writes nothing and drops its hooks', () => {
+  var dir = openTemp('json');
+  try {
+    var a = path.join(dir, 'a.json');
+    store.writeJSON(a, { n: 1 });
+    var ran = false;
+    assert.throws(function() {
+      store.transaction(function() {
+        store.writeJSON(a, { n: 2 });
+        store.writeJSON(path.join(dir, 'b.json'), { n: 3 });
+        store.afterCommit(function() { ran = true; });
+        throw new Error('route failed');
+      });
+    }, /route failed/);
+    assert.strictEqual(ran, false);
+    assert.deepStrictEqual(store.readJSON(a), { n: 1 });
+    assert.strictEqual(store.exists(path.join(dir, 'b.json')), false);
+
+    // The lock was released
+    store.writeJSON(a, { n: 4 });
+    assert.deepStrictEqual(store.readJSON(a), { n: 4 });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('opening finishes a transaction a crash interrupted and clears its lock', () => {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'survivorpool-store-'));
+  try {
+    var a = path.join(dir, 'a.json');
+    var b = path.join(dir, 'b.json');
+    fs.writeFileSync(a, '{"n":1}');
+    fs.writeFileSync(b, '{"n":1}');
+    // The crash came after a.json was renamed into place, before b.json was
+    fs.writeFileSync(a, '{"n":2}');
+    fs.writeFileSync(b + '.tmp', '{"n":2}');
+    fs.writeFileSync(path.join(dir, '.journal.json'), JSON.stringify([{ file: a, write: true }, { file: b, write: true }]));
+    fs.writeFileSync(path.join(dir, '.lock'), String(process.pid));
+
+    store.open(dir, { backend: 'json' });
+    assert.deepStrictEqual(store.readJSON(a), { n: 2 });
+    assert.deepStrictEqual(store.readJSON(b), { n: 2 });
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['a.json', 'b.json']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the sqlite backend imports the JSON files once', { skip: !hasSqlite && 'needs node:sqlite' }, () => {
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'survivorpool-store-'));
+  try {
+    var players = path.join(dir, 'pools', 'main', 'players.json');
+    fs.mkdirSync(path.dirname(players), { recursive: true });
+    fs.writeFileSync(players, '[{"name":"Ann"}]');
+
+    store.open(dir, { backend: 'sqlite' });
+    assert.deepStrictEqual(store.readJSON(players), [{ name: 'Ann' }]);
+    store.writeJSON(players, []);
+    assert.strictEqual(fs.readFileSync(players, 'utf-8'), '[{"name":"Ann"}]');
+
+    store.open(dir, { backend: 'sqlite' });
+    assert.deepStrictEqual(store.readJSON(players), []);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
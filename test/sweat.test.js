@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startServer, game } = require('./helpers');
+
+test('hypothetical winners can be teams with commas and colons in their names', async function() {
+  var server = await startServer();
+  try {
+    await server.login();
+    var slate = function(tipoff) {
+      return [game(1, 'Duke', 'Vermont', { tipoff: tipoff }), game(2, 'Saint Mary\'s, CA', 'UC: Davis', { tipoff: tipoff })];
+    };
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: slate(60) });
+    await server.post('/api/picks', { day: 'thursday_r1', name: 'Ann', email: 'ann@example.com', picks: ['Duke', 'Saint Mary\'s, CA'] });
+    await server.post('/api/picks', { day: 'thursday_r1', name: 'Bob', email: 'bob@example.com', picks: ['Vermont', 'UC: Davis'] });
+    await server.post('/api/admin/games', { day: 'thursday_r1', games: slate(-30) });
+    await server.get('/api/state'); // locks Thursday
+
+    var winners = { 1: 'Duke', 2: 'Saint Mary\'s, CA' };
+    var res = await server.get('/api/sweat?day=thursday_r1&winners=' + encodeURIComponent(JSON.stringify(winners)));
+    assert.strictEqual(res.status, 200, JSON.stringify(res.body));
+    assert.deepStrictEqual(res.body.winners, winners);
+    var ann = res.body.standings.find(s => s.name === 'Ann');
+    assert.strictEqual(ann.result, 'win');
+
+    var bad = await server.get('/api/sweat?day=thursday_r1&winners=' + encodeURIComponent('1:Duke'));
+    assert.strictEqual(bad.status, 400);
+  } finally {
+    await server.stop();
+  }
+});